@@ -0,0 +1,246 @@
+// calibration.js - Guided hand-tracking calibration and per-player profiles persisted in localStorage
+import { resolveResponse } from './responsecurves.js';
+import { getLatestHandData, getSteeringInversion, isMirrorVideo, setMirrorVideo, isSourceMirrored, setSourceMirrored } from './camera.js';
+
+const STORAGE_KEY = 'cvdriver.handProfiles';
+
+// ===== Profile storage =====
+// Stored as { active: name | null, profiles: { [name]: profile } }
+// profile: { name, neutralThetaDeg, maxThetaDeg, minR, maxR, neutralDepth, response, createdAt }
+// (response: optional steering / throttle curve overrides, see responsecurves.js)
+let store = loadStore();
+
+function loadStore() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : null;
+        if (parsed && parsed.profiles) return parsed;
+    } catch (e) {
+        console.warn('[Calibration] Could not read saved profiles', e);
+    }
+    return { active: null, profiles: {} };
+}
+
+function persist() {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(store)); } catch {}
+}
+
+export function listHandProfiles() {
+    return Object.values(store.profiles);
+}
+
+// Returns the same object until the active profile changes, so callers can compare by reference
+export function getActiveHandProfile() {
+    return store.active ? store.profiles[store.active] || null : null;
+}
+
+export function setActiveHandProfile(name) {
+    store.active = name && store.profiles[name] ? name : null;
+    persist();
+}
+
+export function saveHandProfile(profile) {
+    store.profiles[profile.name] = profile;
+    store.active = profile.name;
+    persist();
+    return profile;
+}
+
+// Store response curve overrides on a profile, e.g. { steering: { deadzone: 0.08 } }
+export function setProfileResponse(name, response) {
+    const profile = store.profiles[name];
+    if (!profile) return null;
+    // Replace the object so PhysicsManager notices the change by reference
+    store.profiles[name] = { ...profile, response };
+    persist();
+    return store.profiles[name];
+}
+
+export function deleteHandProfile(name) {
+    delete store.profiles[name];
+    if (store.active === name) store.active = null;
+    persist();
+}
+
+// Write a profile's ranges onto a HAND_INPUT config; a null profile restores the defaults
+export function applyHandProfile(profile, handInput, defaults) {
+    Object.assign(handInput, defaults);
+    if (!profile) return handInput;
+    handInput.neutralThetaDeg = profile.neutralThetaDeg;
+    handInput.maxThetaDeg = profile.maxThetaDeg;
+    handInput.minRForThrottle = profile.minR;
+    handInput.maxR = profile.maxR;
+    if (profile.neutralDepth != null) handInput.neutralDepth = profile.neutralDepth;
+    handInput.response = resolveResponse(profile.response);
+    return handInput;
+}
+
+// ===== Wizard =====
+const STEPS = [
+    { key: 'neutral', text: 'Hold both hands up, level and relaxed, like holding a wheel straight.' },
+    { key: 'close', text: 'Bring your hands close together (this will be zero throttle).' },
+    { key: 'wide', text: 'Spread your hands as wide as is comfortable (full throttle).' },
+    { key: 'left', text: 'Turn the wheel as far LEFT as is comfortable.' },
+    { key: 'right', text: 'Turn the wheel as far RIGHT as is comfortable.' }
+];
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CalibrationWizard {
+    constructor({ prepareMs = 2500, captureMs = 1500 } = {}) {
+        this.prepareMs = prepareMs;
+        this.captureMs = captureMs;
+        this.panel = null;
+        this.cancelled = false;
+    }
+
+    // Resolves with the saved profile, or null if cancelled / no hands were seen
+    async run(defaultName = 'Player 1') {
+        this.cancelled = false;
+        this._createPanel(defaultName);
+        const name = await this._waitForName();
+        if (!name) { this._close(); return null; }
+
+        const captured = {};
+        for (let i = 0; i < STEPS.length; i++) {
+            const step = STEPS[i];
+            const samples = await this._captureStep(step, i);
+            if (this.cancelled) { this._close(); return null; }
+            if (!samples.theta.length) {
+                this._setText('No hands detected. Calibration aborted.');
+                await wait(1500);
+                this._close();
+                return null;
+            }
+            captured[step.key] = { theta: median(samples.theta), r: median(samples.r), depth: median(samples.depth) };
+        }
+
+        // Turning right should move theta the way HAND_INPUT.invertSteering expects. If it went the
+        // other way the camera delivers mirrored frames: flip the image so the preview acts as a
+        // mirror again and steering reads correctly (captured angles change sign with it).
+        const rightIsPositive = captured.right.theta > captured.left.theta;
+        if (rightIsPositive !== getSteeringInversion()) {
+            setSourceMirrored(!isSourceMirrored());
+            setMirrorVideo(!isMirrorVideo());
+            for (const c of Object.values(captured)) c.theta = -c.theta;
+        }
+
+        const neutral = captured.neutral.theta;
+        const leftRange = Math.abs(captured.left.theta - neutral);
+        const rightRange = Math.abs(captured.right.theta - neutral);
+        const minR = Math.min(captured.close.r, captured.neutral.r);
+        const profile = saveHandProfile({
+            name,
+            neutralThetaDeg: neutral,
+            maxThetaDeg: Math.max(20, Math.min(120, (leftRange + rightRange) / 2)),
+            minR,
+            maxR: Math.max(minR + 50, captured.wide.r),
+            neutralDepth: captured.neutral.depth,
+            createdAt: new Date().toISOString()
+        });
+
+        this._setText(`Saved profile "${name}".`);
+        await wait(1200);
+        this._close();
+        return profile;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    async _captureStep(step, index) {
+        const samples = { theta: [], r: [], depth: [] };
+        const prepareEnd = performance.now() + this.prepareMs;
+        while (performance.now() < prepareEnd && !this.cancelled) {
+            const left = Math.ceil((prepareEnd - performance.now()) / 1000);
+            this._setText(`Step ${index + 1}/${STEPS.length}: ${step.text}\nCapturing in ${left}...`);
+            await wait(100);
+        }
+        this._setText(`Step ${index + 1}/${STEPS.length}: ${step.text}\nHold still...`);
+        const captureEnd = performance.now() + this.captureMs;
+        while (performance.now() < captureEnd && !this.cancelled) {
+            const hand = getLatestHandData();
+            if (hand && hand.theta != null && hand.r != null) {
+                samples.theta.push(hand.theta);
+                samples.r.push(hand.r);
+                if (hand.depth != null) samples.depth.push(hand.depth);
+            }
+            await wait(1000 / 30);
+        }
+        return samples;
+    }
+
+    _createPanel(defaultName) {
+        const panel = document.createElement('div');
+        panel.style.position = 'fixed';
+        panel.style.left = '50%';
+        panel.style.top = '20px';
+        panel.style.transform = 'translateX(-50%)';
+        panel.style.zIndex = '100';
+        panel.style.padding = '16px 20px';
+        panel.style.minWidth = '420px';
+        panel.style.background = 'rgba(0,0,0,0.8)';
+        panel.style.color = '#fff';
+        panel.style.fontFamily = 'monospace';
+        panel.style.fontSize = '16px';
+        panel.style.borderRadius = '10px';
+
+        const text = document.createElement('div');
+        text.style.whiteSpace = 'pre-wrap';
+        text.style.marginBottom = '10px';
+        text.textContent = 'Hand calibration\nProfile name:';
+        panel.appendChild(text);
+
+        const nameInput = document.createElement('input');
+        nameInput.value = defaultName;
+        nameInput.style.marginRight = '8px';
+        panel.appendChild(nameInput);
+
+        const startBtn = document.createElement('button');
+        startBtn.textContent = 'Start';
+        panel.appendChild(startBtn);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.style.marginLeft = '8px';
+        cancelBtn.addEventListener('click', () => this.cancel());
+        panel.appendChild(cancelBtn);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.textEl = text;
+        this.nameInput = nameInput;
+        this.startBtn = startBtn;
+    }
+
+    _waitForName() {
+        return new Promise(resolve => {
+            const done = () => {
+                clearInterval(cancelPoll);
+                const name = this.nameInput.value.trim();
+                this.nameInput.remove();
+                this.startBtn.remove();
+                resolve(this.cancelled ? null : (name || 'Player 1'));
+            };
+            const cancelPoll = setInterval(() => { if (this.cancelled) done(); }, 100);
+            this.startBtn.addEventListener('click', done, { once: true });
+        });
+    }
+
+    _setText(text) {
+        if (this.textEl) this.textEl.textContent = text;
+    }
+
+    _close() {
+        if (this.panel) this.panel.remove();
+        this.panel = null;
+    }
+}
@@ -1,42 +1,162 @@
-// Main demo script: MediaPipe Hands + Three.js steering wheel + Chart.js graphs
+// camera.js - HandTracker: MediaPipe Hands + Three.js steering wheel overlay + Chart.js graphs
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import Chart from 'chart.js/auto';
 import { Hands } from '@mediapipe/hands';
-import { Camera } from '@mediapipe/camera_utils';
+import { GestureRecognizer, GESTURE_BINDINGS, handOpenness } from './gestures.js';
+import { HandsWorkerClient, isWorkerInferenceSupported } from './handsclient.js';
+import { trackingGovernor } from './trackinggovernor.js';
+import { FilterBank } from './filters.js';
+import { cameraSource } from './camerasource.js';
+import { responsePreview } from './responsecurves.js';
+import { latencyMonitor } from './latency.js';
+import { HandSessionRecorder, HandSessionPlayer, downloadHandSession, loadHandSession } from './handsession.js';
 
 const video = document.getElementById('video');
 const overlay = document.getElementById('overlay');
 const overlayCtx = overlay.getContext('2d');
 
 let scene, camera, renderer, wheel;
-let hands;
+// modelComplexity is adjusted at runtime by the tracking governor
+const handsOptions = { maxNumHands: 2, modelComplexity: trackingGovernor.tier.modelComplexity, minDetectionConfidence: 0.7, minTrackingConfidence: 0.7 };
 let mpCanvas, mpCtx; // offscreen canvas used to feed mirrored frames to MediaPipe
 let chartR, chartThumbs;
-let thumbsCount = 0;
-let lastDoubleThumbs = false;
-let thumbsCooldown = 0; // frames to avoid double counting
+let viewReady = false; // three.js overlay, charts and key bindings are set up once
 // mirrorVideo: when true the video is mirrored (like many webcam previews).
 // When false the video shows natural camera orientation. We'll keep overlays
 // and landmark conversions consistent with this toggle.
 let mirrorVideo = true;
-let autoMirrorChecked = false;
+let orientationChecked = false; // the hand-pairing check (checkOrientation) has decided pairByLabel
+// True when the camera (driver / virtual camera) already delivers mirrored frames.
+// Mirroring flips both a hand's screen side and its apparent handedness, so this cannot be
+// inferred from a single image; CalibrationWizard detects it from the left/right turn steps.
+let sourceMirrored = !!cameraSource.settings.sourceMirrored;
+// Orientation auto-check: over the first seconds of two-hand tracking, compare MediaPipe's
+// handedness labels with which side of the screen each hand is on. When they disagree
+// (rotated or vertically flipped sources) the labels are not used to pair the hands.
+const ORIENTATION_CHECK = { minSamples: 30, maxMs: 4000 };
+const orientation = { agree: 0, disagree: 0, startedAt: null };
+let pairByLabel = true;
+
+// Session record / replay (see handsession.js)
+const recorder = new HandSessionRecorder();
+const player = new HandSessionPlayer();
+let playbackFrameSize = null; // { width, height } of the recorded video while replaying
 
 const maxHistory = 200;
-const rData = [];
-const thetaData = [];
 
-// Export accessor so other modules (e.g., main.js) can read latest hand-derived values
-export function getLatestHandData() {
-  return {
-    r: rData.length ? rData[rData.length - 1] : null,
-    theta: thetaData.length ? thetaData[thetaData.length - 1] : null // degrees (converted to radians later if needed)
-  };
+// Samples older than this are considered stale (hands left the frame or tracking stalled)
+export const HAND_STALE_MS = 250;
+
+// Select the filter type / parameters, e.g. { type: 'kalman', kalman: { measurementNoise: 0.0001 } }
+export function setHandFilter(config) {
+  handTracker.setFilter(config);
+}
+
+// Export accessor so other modules (e.g., main.js) can read latest hand-derived values.
+// player selects the versus-mode player (0 = left half of the frame).
+export function getLatestHandData(player = 0) {
+  return handTracker.getLatestHandData(player);
+}
+
+// Gesture recognition (gestures.js). Game actions subscribe by gesture name, e.g.
+// onGesture(GESTURE_BINDINGS.pause, e => { if (e.phase === 'start') ... })
+export const gestureRecognizer = new GestureRecognizer();
+
+export function onGesture(name, callback) {
+  return gestureRecognizer.on(name, callback);
+}
+
+export function isGestureActive(name, hand = null) {
+  return gestureRecognizer.isActive(name, hand);
+}
+
+// Double thumbs-up banner and thumbs chart
+function showThumbsUp(thumbsCount) {
+  const g = document.getElementById('gesture');
+  if (g) {
+    g.textContent = 'Thumbs up detected! (' + thumbsCount + ')';
+    g.style.display = 'block';
+    setTimeout(() => { g.style.display = 'none'; }, 800);
+  }
+  if (chartThumbs) {
+    const labels = chartThumbs.data.labels;
+    labels.push(labels.length);
+    chartThumbs.data.datasets[0].data.push(thumbsCount);
+    if (labels.length > maxHistory) { labels.shift(); chartThumbs.data.datasets[0].data.shift(); }
+    chartThumbs.update('none');
+  }
+}
+
+// Start capturing live MediaPipe results into a session
+export function startHandRecording() {
+  recorder.start({ width: video.videoWidth, height: video.videoHeight, mirrorVideo });
+  drawStatus('Recording hand session...');
+}
+
+// Stop recording; returns the session and (by default) downloads it as JSON
+export function stopHandRecording({ download = true } = {}) {
+  const session = recorder.stop();
+  if (!session) return null;
+  drawStatus(`Recorded ${session.frames.length} frames`);
+  if (download) downloadHandSession(session);
+  return session;
+}
+
+export function isHandRecording() {
+  return recorder.recording;
+}
+
+// Feed a recorded session (object, JSON string, File or URL) through onResults in place of the
+// live camera. Resolves when playback finishes (never, if loop is set, until stopHandPlayback()).
+export async function playHandSession(source, { loop = false, speed = 1 } = {}) {
+  const session = await loadHandSession(source);
+  const liveMirror = mirrorVideo;
+  playbackFrameSize = { width: session.width, height: session.height };
+  mirrorVideo = session.mirrorVideo;
+  drawStatus(`Replaying ${session.frames.length} frames`);
+  await player.play(session, frame => handTracker._onResults(frame), { loop, speed });
+  playbackFrameSize = null;
+  mirrorVideo = liveMirror;
+  drawStatus('Replay finished');
+}
+
+export function stopHandPlayback() {
+  player.stop();
+}
+
+export function isHandPlaybackActive() {
+  return player.active;
 }
 
-// Export accessor for thumb count
-export function getLatestThumbCount() {
-  return thumbsCount;
+function setupSessionControls() {
+  // Alt+R toggles recording, Alt+P replays a session file, ?handReplay=<url> replays on load,
+  // Alt+M toggles video mirroring
+  window.addEventListener('keydown', (event) => {
+    if (!event.altKey) return;
+    if (event.code === 'KeyR') {
+      if (recorder.recording) stopHandRecording(); else startHandRecording();
+      event.preventDefault();
+    } else if (event.code === 'KeyM') {
+      setMirrorVideo(!mirrorVideo);
+      event.preventDefault();
+    } else if (event.code === 'KeyP') {
+      if (player.active) { stopHandPlayback(); return; }
+      const picker = document.createElement('input');
+      picker.type = 'file';
+      picker.accept = 'application/json,.json';
+      picker.addEventListener('change', () => {
+        const file = picker.files && picker.files[0];
+        if (file) playHandSession(file).catch(err => drawStatus('Replay failed: ' + err.message));
+      });
+      picker.click();
+      event.preventDefault();
+    }
+  });
+  try {
+    const replayUrl = new URLSearchParams(window.location.search).get('handReplay');
+    if (replayUrl) playHandSession(replayUrl, { loop: true }).catch(err => drawStatus('Replay failed: ' + err.message));
+  } catch (e) {}
 }
 
 function setupThree() {
@@ -163,7 +283,10 @@ function setupCharts() {
       labels: [],
       datasets: [
         { label: 'r (px)', data: [], borderColor: 'orange', backgroundColor: 'rgba(255,165,0,0.1)', tension: 0.2, yAxisID: 'y_r' },
-        { label: 'theta (rad)', data: [], borderColor: 'limegreen', backgroundColor: 'rgba(50,205,50,0.05)', tension: 0.2, yAxisID: 'y_theta' }
+        { label: 'theta (rad)', data: [], borderColor: 'limegreen', backgroundColor: 'rgba(50,205,50,0.05)', tension: 0.2, yAxisID: 'y_theta' },
+        // Response curve preview (responsecurves.js): steering before and after shaping
+        { label: 'steer raw', data: [], borderColor: 'rgba(255,255,255,0.6)', borderDash: [4, 4], pointRadius: 0, tension: 0.2, yAxisID: 'y_input' },
+        { label: 'steer shaped', data: [], borderColor: 'deepskyblue', pointRadius: 0, tension: 0.2, yAxisID: 'y_input' }
       ]
     },
     options: {
@@ -176,23 +299,86 @@ function setupCharts() {
       scales: {
         x: { display: false },
         y_r: { type: 'linear', position: 'left', title: { display: true, text: 'r (px)', color: '#fff' }, ticks: { color: '#fff' } },
-        y_theta: { type: 'linear', position: 'right', title: { display: true, text: 'theta (rad)', color: '#fff' }, ticks: { color: '#fff', callback: v => v.toFixed(2) }, min: -Math.PI, max: Math.PI }
+        y_theta: { type: 'linear', position: 'right', title: { display: true, text: 'theta (rad)', color: '#fff' }, ticks: { color: '#fff', callback: v => v.toFixed(2) }, min: -Math.PI, max: Math.PI },
+        y_input: { type: 'linear', display: false, min: -1, max: 1 }
       }
     }
   });
 }
 
-function pushPoint(r, thetaDeg) {
-  if (rData.length >= maxHistory) { rData.shift(); thetaData.shift(); }
-  rData.push(r); thetaData.push(thetaDeg);
+function resetOrientationCheck() {
+  orientation.agree = 0;
+  orientation.disagree = 0;
+  orientation.startedAt = null;
+  orientationChecked = false;
+  pairByLabel = true;
+}
 
-  // push into combined chart (chartR)
-  chartR.data.labels = rData.map((_, i) => i);
-  chartR.data.datasets[0].data = rData;
-  // thetaData stores degrees in previous code; convert to radians for chart
-  const thetaRad = thetaData.map(d => d * Math.PI / 180);
-  chartR.data.datasets[1].data = thetaRad;
-  chartR.update('none');
+// Feeds the orientation check until it has enough two-hand samples
+function checkOrientation(leftLandmarks, rightLandmarks) {
+  if (orientationChecked || player.active || !leftLandmarks || !rightLandmarks) return;
+  const now = performance.now();
+  if (orientation.startedAt == null) orientation.startedAt = now;
+  if (computePalmCenter(leftLandmarks).x < computePalmCenter(rightLandmarks).x) orientation.agree++;
+  else orientation.disagree++;
+  const samples = orientation.agree + orientation.disagree;
+  if (samples < ORIENTATION_CHECK.minSamples && now - orientation.startedAt < ORIENTATION_CHECK.maxMs) return;
+  orientationChecked = true;
+  pairByLabel = orientation.agree >= orientation.disagree;
+  console.info(`[Camera] Handedness agrees with screen side in ${orientation.agree}/${samples} frames; ` +
+    (pairByLabel ? 'pairing hands by label' : 'pairing hands by screen side'));
+}
+
+// Display mirroring of the tracked video (the image MediaPipe sees is flipped to match)
+export function setMirrorVideo(on) {
+  mirrorVideo = !!on;
+  if (video) video.style.transform = mirrorVideo ? 'scaleX(-1)' : 'none';
+  drawStatus('mirrorVideo=' + mirrorVideo);
+}
+
+export function isMirrorVideo() {
+  return mirrorVideo;
+}
+
+// Record that the camera itself mirrors its frames (remembered with the camera settings)
+export function setSourceMirrored(on) {
+  sourceMirrored = !!on;
+  cameraSource.remember({ sourceMirrored });
+}
+
+export function isSourceMirrored() {
+  return sourceMirrored;
+}
+
+// HAND_INPUT.invertSteering for the current orientation: true when MediaPipe sees a
+// selfie-style image (the user's right hand on the right of the screen)
+export function getSteeringInversion() {
+  return mirrorVideo !== sourceMirrored;
+}
+
+// MediaPipe handedness label for hand i, normalized to 'left' / 'right' (or null)
+function handLabel(results, i) {
+  const label = results.multiHandedness?.[i]?.label || results.multiHandedness?.[i]?.classification?.[0]?.label || null;
+  if (!label) return null;
+  const l = label.toLowerCase();
+  if (l.startsWith('left')) return 'left';
+  if (l.startsWith('right')) return 'right';
+  return null;
+}
+
+// MediaPipe handedness score for hand i (1 when MediaPipe gives no score)
+function handScore(results, i) {
+  const h = results.multiHandedness?.[i];
+  const score = h?.score ?? h?.classification?.[0]?.score;
+  return typeof score === 'number' ? score : 1;
+}
+
+// Palm size from the wrist / index MCP / pinky MCP triangle. Landmark z (same scale as x) is
+// included so tilting the palm toward the camera doesn't read as moving it away.
+function palmScale(lm) {
+  const aspect = (overlay.width || 640) / (overlay.height || 480);
+  const len = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y, ((a.z || 0) - (b.z || 0)) * aspect);
+  return (len(lm[0], lm[5]) + len(lm[0], lm[17]) + len(lm[5], lm[17])) / 3;
 }
 
 function computePalmCenter(landmarks) {
@@ -202,145 +388,15 @@ function computePalmCenter(landmarks) {
   return { x, y };
 }
 
-function onResults(results) {
-  // draw camera frame to overlay canvas
-  overlay.width = video.videoWidth || 640;
-  overlay.height = video.videoHeight || 480;
-  overlayCtx.save();
-  overlayCtx.clearRect(0, 0, overlay.width, overlay.height);
-  // We no longer draw the camera image into the overlay canvas because
-  // the Three.js renderer (full-screen) renders the wheel. Clear overlay.
-  overlayCtx.clearRect(0, 0, overlay.width, overlay.height);
-
-  // Use MediaPipe's handedness labels (if present) to determine which
-  // landmark set corresponds to the left and right hands. This avoids
-  // relying on a heuristic based on landmark positions.
-  // We'll map labels (case-insensitive) to choose the left/right palm centers.
-  let leftLandmarks = null;
-  let rightLandmarks = null;
-  if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-    for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-      const lm = results.multiHandLandmarks[i];
-      const label = results.multiHandedness?.[i]?.label || results.multiHandedness?.[i]?.classification?.[0]?.label || null;
-      if (label) {
-        const l = label.toLowerCase();
-        if (l.startsWith('left')) leftLandmarks = lm;
-        if (l.startsWith('right')) rightLandmarks = lm;
-      }
-    }
-  }
-
-  if (!results.multiHandLandmarks || results.multiHandLandmarks.length < 2) {
-    overlayCtx.restore();
-    return;
-  }
-
-  // compute palm centers for first two hands; prefer MediaPipe's left/right labels
-  let pLeft, pRight;
-  if (leftLandmarks && rightLandmarks) {
-    pLeft = computePalmCenter(leftLandmarks);
-    pRight = computePalmCenter(rightLandmarks);
-  } else {
-    // fallback: use the first two detected hands in order
-    pLeft = computePalmCenter(results.multiHandLandmarks[0]);
-    pRight = computePalmCenter(results.multiHandLandmarks[1]);
-  }
-
-  // convert normalized to pixels. If we draw the video unflipped we must mirror
-  // the normalized X coordinate so overlays align with the displayed image.
-  function normToPx(pt) {
-    // We feed MediaPipe the mirrored frame when `mirrorVideo===true`, so
-    // landmarks already correspond to the displayed (mirrored) image.
-    // Therefore no additional x-flip is needed here; just map normalized
-    // coordinates to pixel space directly.
-    return { x: pt.x * overlay.width, y: pt.y * overlay.height };
-  }
-  // We'll render left hand as 'a' (red) and right as 'b' (blue)
-  const a = normToPx(pLeft);
-  const b = normToPx(pRight);
-
-  // draw markers
-  overlayCtx.fillStyle = 'red';
-  overlayCtx.beginPath(); overlayCtx.arc(a.x, a.y, 8, 0, Math.PI * 2); overlayCtx.fill();
-  overlayCtx.fillStyle = 'blue';
-  overlayCtx.beginPath(); overlayCtx.arc(b.x, b.y, 8, 0, Math.PI * 2); overlayCtx.fill();
-
-  // vector from left to right
-  const vx = b.x - a.x;
-  const vy = b.y - a.y;
-  const r = Math.hypot(vx, vy);
-  // compute angle relative to horizontal; when hands level (same y), wheel should be unrotated
-  const theta = Math.atan2(vy, vx); // radians
-  const thetaDeg = theta * 180 / Math.PI;
-
-  // draw vector
-  overlayCtx.strokeStyle = 'lime'; overlayCtx.lineWidth = 4;
-  overlayCtx.beginPath(); overlayCtx.moveTo(a.x, a.y); overlayCtx.lineTo(b.x, b.y); overlayCtx.stroke();
-
-  // ---- Double thumbs-up detection ----
-  // Heuristic: For each hand, thumb is up if:
-  // 1) Thumb tip (4) is above thumb MCP (2) relative to the wrist direction (y lower);
-  // 2) Fingers 2-5 are curled (tip is closer to wrist than MCP), implying fist closed.
-  // We'll use normalized coordinates supplied by MediaPipe (0..1).
-  const lmLeft = leftLandmarks || results.multiHandLandmarks[0];
-  const lmRight = rightLandmarks || results.multiHandLandmarks[1];
-
-  function isFistClosedAndThumbUp(lm) {
-    const wrist = lm[0];
-    const thumbTip = lm[4];
-    const thumbMcp = lm[2];
-    // thumb up if tip higher (smaller y) than MCP
-    const thumbUp = (thumbTip.y + 0.01) < thumbMcp.y;
-    // fingers curled: for each finger (index=8/5, middle=12/9, ring=16/13, pinky=20/17),
-    // tip should be closer to wrist than MCP? Simpler: tip y > MCP y (tip lower) when fist is closed (towards camera can vary),
-    // use distance to wrist for robustness.
-    function curled(tipIdx, mcpIdx){
-      const tip = lm[tipIdx];
-      const mcp = lm[mcpIdx];
-      const dTip = Math.hypot(tip.x - wrist.x, tip.y - wrist.y);
-      const dMcp = Math.hypot(mcp.x - wrist.x, mcp.y - wrist.y);
-      return dTip < dMcp * 0.85; // tip closer to wrist than MCP by margin
-    }
-    const fingersCurled = curled(8,5) && curled(12,9) && curled(16,13) && curled(20,17);
-    return thumbUp && fingersCurled;
-  }
-
-  const leftOK = isFistClosedAndThumbUp(lmLeft);
-  const rightOK = isFistClosedAndThumbUp(lmRight);
-  let doubleThumbsNow = leftOK && rightOK;
-  if (thumbsCooldown > 0) thumbsCooldown--;
-  if (doubleThumbsNow && !lastDoubleThumbs && thumbsCooldown === 0) {
-    thumbsCount++;
-    thumbsCooldown = 15; // debounce ~0.25s @60fps
-    // update banner
-    const g = document.getElementById('gesture');
-    if (g) {
-      g.textContent = 'Thumbs up detected! (' + thumbsCount + ')';
-      g.style.display = 'block';
-      setTimeout(() => { g.style.display = 'none'; }, 800);
-    }
-    // update thumbs chart
-    if (chartThumbs) {
-      const labels = chartThumbs.data.labels;
-      labels.push(labels.length);
-      chartThumbs.data.datasets[0].data.push(thumbsCount);
-      if (labels.length > maxHistory) { labels.shift(); chartThumbs.data.datasets[0].data.shift(); }
-      chartThumbs.update('none');
-    }
-  }
-  lastDoubleThumbs = doubleThumbsNow;
-
-  // update 3D model: position at midpoint, rotation to match angle, scale with r
+// update 3D model: position at (midX, midY) px, rotation to match angle, scale with r (px span)
+function updateWheelOverlay(midX, midY, theta, r) {
   if (wheel) {
-    const midX = (a.x + b.x) / 2;
-    const midY = (a.y + b.y) / 2;
-
     const ndcX = (midX / overlay.width) * 2 - 1;
     const ndcY = -((midY / overlay.height) * 2 - 1);
 
     // project NDC to camera plane at z=0
     const vec = new THREE.Vector3(ndcX, ndcY, 0.5).unproject(camera);
-    wheel.position.lerp(vec, 0.4);
+    wheel.position.copy(vec);
     // Orient the wheel to face the camera (so the wheel center faces the user)
     // and then rotate it around the camera forward axis by -theta for steering.
     try {
@@ -352,7 +408,7 @@ function onResults(results) {
       const rotAngle = mirrorVideo ? theta : -theta;
       const qRot = new THREE.Quaternion().setFromAxisAngle(camForward.normalize(), rotAngle);
       const targetQuat = camQuat.clone().multiply(qRot);
-      wheel.quaternion.slerp(targetQuat, 0.4);
+      wheel.quaternion.copy(targetQuat);
     } catch (e) {}
 
     // Scale the wheel so it fits within the circle through the palm centers.
@@ -386,15 +442,10 @@ function onResults(results) {
       }
       // clamp only the minimum to prevent degenerate tiny scales; allow large sizes
       targetScale = Math.max(targetScale, 0.05);
-      // smooth towards target more responsively so changes are visible
-      const desiredScaleVec = new THREE.Vector3(targetScale, targetScale, targetScale);
-      wheel.scale.lerp(desiredScaleVec, 0.75);
+      // r is already filtered, so apply the target directly
+      wheel.scale.setScalar(targetScale);
     } catch (e) { console.warn('scale adjust error', e); }
   }
-
-  pushPoint(r, thetaDeg);
-
-  overlayCtx.restore();
 }
 
 function drawStatus(text) {
@@ -412,7 +463,29 @@ function drawStatus(text) {
   } catch (e) {}
 }
 
-async function init() {
+// Downscaled inference size for a governor tier (null when the video is already small enough)
+function inferenceInputSize(tier) {
+  const vw = video.videoWidth;
+  const vh = video.videoHeight;
+  if (!vw || !vh || vw <= tier.width) return null;
+  return { width: tier.width, height: Math.round(vh * tier.width / vw) };
+}
+
+function updateChartR(rData, thetaData, steerRawData, steerData) {
+  if (!chartR) return;
+  chartR.data.labels = rData.map((_, i) => i);
+  chartR.data.datasets[0].data = rData;
+  // thetaData stores degrees in previous code; convert to radians for chart
+  chartR.data.datasets[1].data = thetaData.map(d => d * Math.PI / 180);
+  chartR.data.datasets[2].data = steerRawData;
+  chartR.data.datasets[3].data = steerData;
+  chartR.update('none');
+}
+
+// Three.js wheel overlay, charts, mirror buttons and key bindings (once per page)
+function setupView() {
+  if (viewReady) return;
+  viewReady = true;
   setupThree();
   setupCharts();
   drawStatus('Initializing...');
@@ -420,87 +493,381 @@ async function init() {
   try {
     const on = document.getElementById('mirrorOn');
     const off = document.getElementById('mirrorOff');
-    const applyVideoMirror = () => { if (video) video.style.transform = mirrorVideo ? 'scaleX(-1)' : 'none'; };
     // apply initial mirror state to the visible video
-    applyVideoMirror();
-    if (on) on.addEventListener('click', () => { mirrorVideo = true; autoMirrorChecked = true; applyVideoMirror(); drawStatus('mirrorVideo=true'); });
-    if (off) off.addEventListener('click', () => { mirrorVideo = false; autoMirrorChecked = true; applyVideoMirror(); drawStatus('mirrorVideo=false'); });
+    setMirrorVideo(mirrorVideo);
+    if (on) on.addEventListener('click', () => setMirrorVideo(true));
+    if (off) off.addEventListener('click', () => setMirrorVideo(false));
   } catch (e) {}
-  // initialize MediaPipe Hands
-  hands = new Hands({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}` });
-  hands.setOptions({ maxNumHands: 2, modelComplexity: 1, minDetectionConfidence: 0.7, minTrackingConfidence: 0.7 });
-  hands.onResults(onResults);
+  setupSessionControls();
+}
 
-  // Try to use MediaPipe Camera helper first; if it fails, fallback to getUserMedia
-  try {
-    if (typeof Camera !== 'undefined') {
-      const cam = new Camera(video, {
-        onFrame: async () => {
-          try {
-            // ensure offscreen canvas exists and matches video size
-            if (!mpCanvas) {
-              mpCanvas = document.createElement('canvas'); mpCtx = mpCanvas.getContext('2d');
-            }
-            if (video.videoWidth && video.videoHeight) {
-              if (mpCanvas.width !== video.videoWidth || mpCanvas.height !== video.videoHeight) {
-                mpCanvas.width = video.videoWidth; mpCanvas.height = video.videoHeight;
-              }
-            }
-            if (mirrorVideo && mpCtx) {
-              // draw flipped frame into mpCanvas and send that to MediaPipe
-              mpCtx.save();
-              mpCtx.scale(-1, 1);
-              mpCtx.drawImage(video, -mpCanvas.width, 0, mpCanvas.width, mpCanvas.height);
-              mpCtx.restore();
-              await hands.send({ image: mpCanvas });
-            } else {
-              await hands.send({ image: video });
-            }
-          } catch (e) { /* ignore per-frame errors */ }
-        },
-        width: 1280, height: 720
-      });
-      await cam.start();
-      // occasionally the camera helper may not expose frames until permissions approved
-      //console.log('MediaPipe Camera started');
-      drawStatus('Camera started (MediaPipe Camera)');
-      // start a small debug loop to draw the video into overlay for visibility
-      (function debugDraw() {
-        if (video && video.readyState >= 2) {
-          try {
-            // ensure overlay and renderer sizes match the video frame for correct projection
-            overlay.width = video.videoWidth;
-            overlay.height = video.videoHeight;
-            onResize();
-          } catch (e) {}
+// Hand samples of one player: filters, r/theta history and the measures derived from them.
+// Solo play has one; versus mode (HandTracker.setPlayerCount(2)) gives each half of the frame its own.
+class PlayerHands {
+  constructor(filterConfig) {
+    // Palm centers and one-hand measures are filtered here (filters.js) before anything is derived
+    // from them, so getLatestHandData() and the wheel overlay share one signal.
+    this.handFilters = new FilterBank(filterConfig);
+    this.reset();
+  }
+
+  reset() {
+    this.rData = [];
+    this.thetaData = [];
+    this.steerRawData = []; // steering before / after the response curve, for the chart preview
+    this.steerData = [];
+    // 'two' while both hands are tracked, 'one' when a single hand is visible (null before any hands)
+    this.handMode = null;
+    this.oneHandData = null; // { roll (deg), x, y (normalized palm center), openness (0..1) }
+    // Apparent palm size (fraction of frame height, averaged over visible hands). It grows as the
+    // hands move toward the camera; HAND_INPUT.throttleModel 'depth' maps it to throttle / brake.
+    this.handDepth = null;
+    // When the latest hand sample was produced (performance.now() ms) and MediaPipe's handedness
+    // score for it (lowest of the visible hands)
+    this.sampleTime = null;
+    this.sampleConfidence = null;
+    this.filterMode = null; // handMode the filter state belongs to
+  }
+
+  getLatestHandData() {
+    const age = this.sampleTime == null ? Infinity : performance.now() - this.sampleTime;
+    return {
+      r: this.rData.length ? this.rData[this.rData.length - 1] : null,
+      theta: this.thetaData.length ? this.thetaData[this.thetaData.length - 1] : null, // degrees (converted to radians later if needed)
+      mode: this.handMode,
+      oneHand: this.oneHandData,
+      depth: this.handDepth,
+      timestamp: this.sampleTime,
+      confidence: this.sampleConfidence,
+      age,
+      stale: age > HAND_STALE_MS
+    };
+  }
+
+  // hands: [{ landmarks, label, score }] seen for this player (at most two are used). With byLabel
+  // the two hands are paired by MediaPipe's handedness labels, otherwise by screen side.
+  // drawWheel moves the 3D wheel overlay. Returns true when a new r / theta sample was added.
+  update(hands, { byLabel = false, drawWheel = true } = {}) {
+    const handCount = hands.length;
+    const mode = handCount === 1 ? 'one' : (handCount >= 2 ? 'two' : null);
+    if (handCount > 0) {
+      const now = performance.now();
+      // Start the filters fresh after a gap or when switching between one- and two-hand input
+      if (mode !== this.filterMode || this.sampleTime == null || now - this.sampleTime > HAND_STALE_MS) this.handFilters.reset();
+      this.filterMode = mode;
+      this.sampleTime = now;
+      this.sampleConfidence = Math.min(...hands.map(h => h.score));
+    }
+    const filterTime = this.sampleTime / 1000;
+    if (handCount === 1) {
+      this._processSingleHand(hands[0].landmarks, filterTime, drawWheel);
+      return false;
+    }
+    if (handCount < 2) return false;
+    this.handMode = 'two';
+    const hand0 = hands[0].landmarks;
+    const hand1 = hands[1].landmarks;
+    this.handDepth = this.handFilters.filter('depth', (palmScale(hand0) + palmScale(hand1)) / 2, filterTime);
+
+    // compute palm centers for first two hands; prefer MediaPipe's left/right labels
+    // unless the orientation check found they don't match the screen sides
+    const leftLandmarks = hands.find(h => h.label === 'left')?.landmarks;
+    const rightLandmarks = hands.find(h => h.label === 'right')?.landmarks;
+    let pLeft, pRight;
+    if (byLabel && leftLandmarks && rightLandmarks) {
+      pLeft = computePalmCenter(leftLandmarks);
+      pRight = computePalmCenter(rightLandmarks);
+    } else {
+      // fallback: order the first two detected hands by screen side
+      const p0 = computePalmCenter(hand0);
+      const p1 = computePalmCenter(hand1);
+      [pLeft, pRight] = p0.x <= p1.x ? [p0, p1] : [p1, p0];
+    }
+    pLeft = this._filterPoint('left.', pLeft, filterTime);
+    pRight = this._filterPoint('right.', pRight, filterTime);
+
+    // We feed MediaPipe the mirrored frame when `mirrorVideo===true`, so landmarks already
+    // correspond to the displayed (mirrored) image: map normalized coordinates to pixels directly.
+    // We'll render left hand as 'a' (red) and right as 'b' (blue)
+    const a = { x: pLeft.x * overlay.width, y: pLeft.y * overlay.height };
+    const b = { x: pRight.x * overlay.width, y: pRight.y * overlay.height };
+
+    // draw markers
+    overlayCtx.fillStyle = 'red';
+    overlayCtx.beginPath(); overlayCtx.arc(a.x, a.y, 8, 0, Math.PI * 2); overlayCtx.fill();
+    overlayCtx.fillStyle = 'blue';
+    overlayCtx.beginPath(); overlayCtx.arc(b.x, b.y, 8, 0, Math.PI * 2); overlayCtx.fill();
+
+    // vector from left to right
+    const vx = b.x - a.x;
+    const vy = b.y - a.y;
+    const r = Math.hypot(vx, vy);
+    // compute angle relative to horizontal; when hands level (same y), wheel should be unrotated
+    const theta = Math.atan2(vy, vx); // radians
+    const thetaDeg = theta * 180 / Math.PI;
+
+    // draw vector
+    overlayCtx.strokeStyle = 'lime'; overlayCtx.lineWidth = 4;
+    overlayCtx.beginPath(); overlayCtx.moveTo(a.x, a.y); overlayCtx.lineTo(b.x, b.y); overlayCtx.stroke();
+
+    // update 3D model: position at midpoint, rotation to match angle, scale with r
+    if (drawWheel) updateWheelOverlay((a.x + b.x) / 2, (a.y + b.y) / 2, theta, r);
+
+    this._pushPoint(r, thetaDeg);
+    return true;
+  }
+
+  // One-hand mode: steering from wrist roll / palm position, throttle from openness / height.
+  // The mapping to controls lives in HandInputProvider; here we only measure.
+  _processSingleHand(lm, time, drawWheel) {
+    const palm = this._filterPoint('palm.', computePalmCenter(lm), time);
+    const axis = this._filterPoint('axis.', { x: lm[9].x - lm[0].x, y: lm[9].y - lm[0].y }, time);
+    const openness = this.handFilters.filter('openness', handOpenness(lm), time);
+    this.handDepth = this.handFilters.filter('depth', palmScale(lm), time);
+    const p = { x: palm.x * overlay.width, y: palm.y * overlay.height };
+    // wrist -> middle MCP; roll is its angle from vertical, positive when tilted clockwise on screen
+    const dx = axis.x * overlay.width;
+    const dy = axis.y * overlay.height;
+    const roll = Math.atan2(dx, -dy);
+
+    this.handMode = 'one';
+    this.oneHandData = { roll: roll * 180 / Math.PI, x: palm.x, y: palm.y, openness };
+
+    overlayCtx.fillStyle = 'magenta';
+    overlayCtx.beginPath(); overlayCtx.arc(p.x, p.y, 8, 0, Math.PI * 2); overlayCtx.fill();
+    overlayCtx.strokeStyle = 'magenta'; overlayCtx.lineWidth = 4;
+    overlayCtx.beginPath();
+    overlayCtx.moveTo(lm[0].x * overlay.width, lm[0].y * overlay.height);
+    overlayCtx.lineTo(lm[9].x * overlay.width, lm[9].y * overlay.height);
+    overlayCtx.stroke();
+
+    if (drawWheel) updateWheelOverlay(p.x, p.y, roll, Math.hypot(dx, dy) * 3);
+  }
+
+  _filterPoint(prefix, pt, time) {
+    return { x: this.handFilters.filter(prefix + 'x', pt.x, time), y: this.handFilters.filter(prefix + 'y', pt.y, time) };
+  }
+
+  _pushPoint(r, thetaDeg) {
+    if (this.rData.length >= maxHistory) { this.rData.shift(); this.thetaData.shift(); this.steerRawData.shift(); this.steerData.shift(); }
+    this.rData.push(r); this.thetaData.push(thetaDeg);
+    this.steerRawData.push(responsePreview.steerRaw); this.steerData.push(responsePreview.steer);
+  }
+}
+
+// HandTracker owns the MediaPipe pipeline (worker or main thread) and the hand data of the
+// current session. Lifecycle: start() -> pause() / resume() -> stop(); start() again restarts.
+// Events (addEventListener, detail on the event):
+//   'handsChanged'  { count, mode }      the number of tracked hands changed
+//   'gesture'       gestures.js event    every gesture start / end
+//   'lost'          { reason }           'hands' went stale or the 'camera' dropped out
+//   'error'         { message, error }   camera or inference failures
+// setPlayerCount(2) switches to local versus: up to four hands, the left half of the frame drives
+// player 0 and the right half player 1 (getLatestHandData(player)). Gestures are then recognized per
+// player as well (gestures.js); event.player says whose hands made them.
+export class HandTracker extends EventTarget {
+  constructor() {
+    super();
+    this.state = 'idle'; // 'idle' | 'starting' | 'running' | 'paused' | 'stopped'
+    this.hands = null; // main-thread MediaPipe Hands, created only when worker inference is unavailable
+    this.handsWorker = null; // HandsWorkerClient while inference runs in a Web Worker
+    this.inferenceStarted = false;
+    this.frameCounter = 0; // for the governor's frame skipping
+    this.thumbsCount = 0;
+    this.loopId = 0; // bumped to end a running frame loop
+    this.frameCapturedAt = null; // capture time of the frame the <video> shows (see _watchVideoFrames)
+    this.captureTime = null; // when the frame in main-thread inference was captured (latency.js)
+    this.sendTime = null; // ... and when it was handed to MediaPipe
+    this.lastErrorAt = 0;
+    this.filterConfig = undefined; // FilterBank default until setFilter()
+    this.players = [new PlayerHands(this.filterConfig)];
+    this._resetSamples();
+
+    gestureRecognizer.on('*', (event) => this._emit('gesture', event));
+    // Double thumbs-up: counted (start game) and shown in the banner / thumbs chart
+    gestureRecognizer.on(GESTURE_BINDINGS.start, (event) => {
+      if (event.phase !== 'start') return;
+      this.thumbsCount++;
+      showThumbsUp(this.thumbsCount);
+    });
+    trackingGovernor.onTierChange((tier) => {
+      handsOptions.modelComplexity = tier.modelComplexity;
+      if (this.handsWorker) this.handsWorker.setOptions({ modelComplexity: tier.modelComplexity });
+      if (this.hands) this.hands.setOptions(handsOptions);
+    });
+    // The webcam stream is shared with the start-screen preview (camerasource.js)
+    cameraSource.onStatusChange((status) => this._onCameraStatus(status));
+  }
+
+  _resetSamples() {
+    for (const p of this.players) p.reset();
+    this.handCount = 0;
+    this.handsLost = false;
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  _emitError(message, error = null) {
+    console.warn('[HandTracker]', message, error || '');
+    this._emit('error', { message, error });
+  }
+
+  async start() {
+    if (this.state === 'starting' || this.state === 'running') return;
+    if (this.state === 'paused') {
+      this.resume();
+      return;
+    }
+    this.state = 'starting';
+    setupView();
+    this._startInference();
+    const stream = await cameraSource.attach(video);
+    if (this.state !== 'starting') return; // stopped while the camera was opening
+    if (!stream) this._emitError('Camera unavailable (' + cameraSource.status + ')');
+    this.state = 'running';
+    this._startFrameLoop();
+  }
+
+  // Ends inference and lets go of the camera; hand data and active gestures are cleared
+  stop() {
+    if (this.state === 'idle' || this.state === 'stopped') return;
+    this.state = 'stopped';
+    this.loopId++;
+    cameraSource.detach(video);
+    this._stopInference();
+    gestureRecognizer.update([]);
+    this._resetSamples();
+    drawStatus('Hand tracking stopped');
+  }
+
+  // Keeps the camera open but skips inference until resume()
+  pause() {
+    if (this.state !== 'running') return;
+    this.state = 'paused';
+    drawStatus('Hand tracking paused');
+  }
+
+  resume() {
+    if (this.state === 'paused') this.state = 'running';
+  }
+
+  getThumbCount() {
+    return this.thumbsCount;
+  }
+
+  setFilter(config) {
+    this.filterConfig = config;
+    for (const p of this.players) {
+      p.handFilters.configure(config);
+      p.filterMode = null;
+    }
+  }
+
+  getLatestHandData(player = 0) {
+    return (this.players[player] || this.players[0]).getLatestHandData();
+  }
+
+  getPlayerCount() {
+    return this.players.length;
+  }
+
+  // 1 = solo, 2 = local versus (four hands, one frame half per player)
+  setPlayerCount(count) {
+    count = count >= 2 ? 2 : 1;
+    if (count === this.players.length) return;
+    this.players = Array.from({ length: count }, () => new PlayerHands(this.filterConfig));
+    handsOptions.maxNumHands = count * 2;
+    if (this.handsWorker) this.handsWorker.setOptions({ maxNumHands: handsOptions.maxNumHands });
+    if (this.hands) this.hands.setOptions(handsOptions);
+    // The 3D wheel follows one pair of hands, so it is only shown in solo play
+    if (wheel) wheel.visible = count === 1;
+  }
+
+  _onCameraStatus(status) {
+    if (status === 'lost') drawStatus('Camera disconnected - reconnecting...');
+    else if (status === 'denied') drawStatus('Camera access denied');
+    else if (status === 'unavailable') drawStatus('No camera available');
+    else if (status === 'live') {
+      drawStatus('Camera stream started');
+      resetOrientationCheck(); // possibly a different camera
+    }
+    if (this.state !== 'running' && this.state !== 'paused') return;
+    if (status === 'lost') this._emit('lost', { reason: 'camera' });
+    else if (status === 'denied' || status === 'unavailable') this._emitError('Camera ' + status);
+  }
+
+  // initialize MediaPipe Hands: in a worker when possible, otherwise on the main thread
+  _startInference() {
+    if (this.inferenceStarted) return;
+    this.inferenceStarted = true;
+    if (isWorkerInferenceSupported()) {
+      const client = new HandsWorkerClient(handsOptions, (results) => this._onLiveResults(results));
+      this.handsWorker = client;
+      client.start().then(ok => {
+        if (this.handsWorker !== client) return; // stopped while the model was loading
+        if (ok) {
+          drawStatus('Hand tracking running in worker');
+          latencyMonitor.setContext({ inference: 'worker' });
         } else {
-          drawStatus('Waiting for camera frames...');
+          console.warn('Worker inference unavailable, using main thread');
+          this.handsWorker = null;
+          this._getMainThreadHands();
+          latencyMonitor.setContext({ inference: 'main-thread' });
         }
-        setTimeout(debugDraw, 1000/15);
-      })();
-      return;
+      });
     } else {
-      throw new Error('MediaPipe Camera helper not available');
+      this._getMainThreadHands();
+      latencyMonitor.setContext({ inference: 'main-thread' });
     }
-  } catch (e) {
-    console.warn('MediaPipe Camera could not be started, falling back to getUserMedia:', e);
-    await fallbackGetUserMedia();
   }
-}
 
-async function fallbackGetUserMedia() {
-  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-    drawStatus('No camera available');
-    return;
+  // Frees the worker or main-thread model; the next start() builds inference again
+  _stopInference() {
+    if (this.handsWorker) this.handsWorker.terminate();
+    if (this.hands) this.hands.close().catch(() => {});
+    this.handsWorker = null;
+    this.hands = null;
+    this.inferenceStarted = false;
   }
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({ video: { width: 1280, height: 720 }, audio: false });
-    video.srcObject = stream;
-    await video.play();
-    drawStatus('Camera stream started (fallback)');
-    // start a frame loop that draws the video and sends frames to MediaPipe
+
+  _getMainThreadHands() {
+    if (!this.hands) {
+      this.hands = new Hands({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}` });
+      this.hands.setOptions(handsOptions);
+      this.hands.onResults((results) => this._onLiveResults(results));
+    }
+    return this.hands;
+  }
+
+  // Tracks when the camera captured the frame the <video> currently shows, so latency is measured
+  // from capture rather than from send. requestVideoFrameCallback metadata gives captureTime for
+  // camera streams in most browsers, else expectedDisplayTime / presentationTime. Without it the
+  // send time stands in (frameCapturedAt stays null).
+  _watchVideoFrames(id) {
+    this.frameCapturedAt = null;
+    if (!video.requestVideoFrameCallback) return;
+    const onFrame = (now, meta) => {
+      if (id !== this.loopId) return;
+      this.frameCapturedAt = meta.captureTime ?? meta.expectedDisplayTime ?? meta.presentationTime ?? now;
+      video.requestVideoFrameCallback(onFrame);
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+
+  // Keeps overlay sizes in step with the video, feeds frames to MediaPipe and watches for lost hands
+  _startFrameLoop() {
+    const id = ++this.loopId;
+    this._watchVideoFrames(id);
     const loop = async () => {
-      if (video.readyState >= 2) {
+      if (id !== this.loopId) return;
+      this._checkHandsLost();
+      if (player.active || this.state !== 'running') {
+        requestAnimationFrame(loop);
+        return;
+      }
+      if (cameraSource.status === 'live' && video.readyState >= 2) {
         try {
           overlay.width = video.videoWidth;
           overlay.height = video.videoHeight;
@@ -509,37 +876,148 @@ async function fallbackGetUserMedia() {
           // drawing may fail if video not ready
         }
         try {
-          // prepare mpCanvas if needed
-          if (!mpCanvas) { mpCanvas = document.createElement('canvas'); mpCtx = mpCanvas.getContext('2d'); }
-          if (video.videoWidth && video.videoHeight) {
-            if (mpCanvas.width !== video.videoWidth || mpCanvas.height !== video.videoHeight) {
-              mpCanvas.width = video.videoWidth; mpCanvas.height = video.videoHeight;
-            }
-          }
-          if (mirrorVideo && mpCtx) {
-            mpCtx.save();
-            mpCtx.scale(-1, 1);
-            mpCtx.drawImage(video, -mpCanvas.width, 0, mpCanvas.width, mpCanvas.height);
-            mpCtx.restore();
-            await hands.send({ image: mpCanvas });
-          } else {
-            await hands.send({ image: video });
-          }
+          await this._sendFrame();
         } catch (e) {
-          // continue even if hands.send fails
+          // continue even if hands.send fails; report at most once a second (not after stop())
+          if (id === this.loopId && performance.now() - this.lastErrorAt > 1000) {
+            this.lastErrorAt = performance.now();
+            this._emitError('Hand inference failed', e);
+          }
         }
-      } else {
+      } else if (cameraSource.status === 'live' || cameraSource.status === 'starting') {
         drawStatus('Waiting for camera...');
       }
       requestAnimationFrame(loop);
     };
     requestAnimationFrame(loop);
-  } catch (err) {
-    console.error('getUserMedia error', err);
-    drawStatus('Camera access denied or unavailable');
+  }
+
+  _checkHandsLost() {
+    if (this.handsLost) return;
+    const sampleTimes = this.players.map(p => p.sampleTime).filter(t => t != null);
+    if (!sampleTimes.length) return;
+    if (performance.now() - Math.max(...sampleTimes) > HAND_STALE_MS) {
+      this.handsLost = true;
+      this._emit('lost', { reason: 'hands' });
+    }
+  }
+
+  // Send the current video frame for inference. With the worker, capture is an async ImageBitmap
+  // copy and frames arriving while the previous one is still in flight are dropped.
+  async _sendFrame() {
+    const tier = trackingGovernor.tier;
+    if (tier.frameSkip && (this.frameCounter++ % (tier.frameSkip + 1)) !== 0) {
+      latencyMonitor.recordFrame('skipped');
+      return;
+    }
+    const size = inferenceInputSize(tier);
+
+    if (this.handsWorker) {
+      if (this.handsWorker.ready && video.videoWidth) {
+        latencyMonitor.recordFrame(this.handsWorker.send(video, mirrorVideo, size, this.frameCapturedAt) ? 'sent' : 'dropped');
+      }
+      return;
+    }
+    const mainHands = this._getMainThreadHands();
+    const start = performance.now();
+    this.captureTime = this.frameCapturedAt ?? start;
+    this.sendTime = start;
+    latencyMonitor.recordFrame('sent');
+    if (mirrorVideo || size) {
+      // ensure offscreen canvas exists and matches the inference size
+      if (!mpCanvas) { mpCanvas = document.createElement('canvas'); mpCtx = mpCanvas.getContext('2d'); }
+      const w = size ? size.width : video.videoWidth;
+      const h = size ? size.height : video.videoHeight;
+      if (w && h && (mpCanvas.width !== w || mpCanvas.height !== h)) {
+        mpCanvas.width = w; mpCanvas.height = h;
+      }
+      // draw (optionally flipped) frame into mpCanvas and send that to MediaPipe
+      mpCtx.save();
+      if (mirrorVideo) {
+        mpCtx.scale(-1, 1);
+        mpCtx.drawImage(video, -mpCanvas.width, 0, mpCanvas.width, mpCanvas.height);
+      } else {
+        mpCtx.drawImage(video, 0, 0, mpCanvas.width, mpCanvas.height);
+      }
+      mpCtx.restore();
+      await mainHands.send({ image: mpCanvas });
+    } else {
+      await mainHands.send({ image: video });
+    }
+    trackingGovernor.recordInference(performance.now() - start);
+  }
+
+  // Live MediaPipe results: recorded when requested, ignored while a replay drives the pipeline
+  // or the tracker is paused / stopped
+  _onLiveResults(results) {
+    const resultAt = performance.now();
+    if (results.inferenceMs != null) trackingGovernor.recordInference(results.inferenceMs);
+    if (player.active || this.state !== 'running') return;
+    if (recorder.recording) recorder.capture(results);
+    this._onResults(results);
+    const count = results.multiHandLandmarks ? results.multiHandLandmarks.length : 0;
+    latencyMonitor.recordResult({
+      capturedAt: results.capturedAt ?? this.captureTime,
+      sentAt: results.sentAt ?? this.sendTime,
+      resultAt,
+      filteredAt: performance.now(),
+      confidence: count ? Math.min(...results.multiHandLandmarks.map((_, i) => handScore(results, i))) : null
+    });
+  }
+
+  _onResults(results) {
+    // draw camera frame to overlay canvas
+    overlay.width = playbackFrameSize?.width || video.videoWidth || 640;
+    overlay.height = playbackFrameSize?.height || video.videoHeight || 480;
+    overlayCtx.save();
+    // We no longer draw the camera image into the overlay canvas because
+    // the Three.js renderer (full-screen) renders the wheel. Clear overlay.
+    overlayCtx.clearRect(0, 0, overlay.width, overlay.height);
+
+    // MediaPipe's handedness labels (normalized to 'left' / 'right') decide which landmark set is
+    // which hand, unless the orientation check found they don't match the screen sides
+    const hands = (results.multiHandLandmarks || []).map((landmarks, i) => ({
+      landmarks,
+      label: handLabel(results, i),
+      score: handScore(results, i)
+    }));
+
+    // Versus: each player keeps to their half of the (displayed) frame, gestures included (per-player
+    // recognition, so one player's hands never complete or cancel the other's gestures)
+    const side = (h) => computePalmCenter(h.landmarks).x < 0.5 ? 0 : 1;
+    if (this.players.length > 1) hands.forEach(h => { h.player = side(h); });
+
+    // Gestures are evaluated for any number of hands (one-hand gestures included)
+    gestureRecognizer.update(hands);
+
+    const handCount = hands.length;
+    if (handCount !== this.handCount) {
+      this.handCount = handCount;
+      this._emit('handsChanged', { count: handCount, mode: handCount === 1 ? 'one' : (handCount >= 2 ? 'two' : null) });
+    }
+    if (handCount > 0) this.handsLost = false;
+
+    if (this.players.length === 1) {
+      const leftHand = hands.find(h => h.label === 'left');
+      const rightHand = hands.find(h => h.label === 'right');
+      checkOrientation(leftHand?.landmarks, rightHand?.landmarks);
+      const solo = this.players[0];
+      if (solo.update(hands.slice(0, 2), { byLabel: pairByLabel })) {
+        updateChartR(solo.rData, solo.thetaData, solo.steerRawData, solo.steerData);
+      }
+    } else {
+      overlayCtx.strokeStyle = 'rgba(255,255,255,0.6)'; overlayCtx.lineWidth = 2;
+      overlayCtx.beginPath(); overlayCtx.moveTo(overlay.width / 2, 0); overlayCtx.lineTo(overlay.width / 2, overlay.height); overlayCtx.stroke();
+      this.players.forEach((p, i) => p.update(hands.filter(h => h.player === i).slice(0, 2), { drawWheel: false }));
+    }
+
+    overlayCtx.restore();
   }
 }
 
+// The page's tracker; main.js starts it once the DOM is ready
+export const handTracker = new HandTracker();
+
 // Surface unexpected errors on the overlay so the user can see them
 window.addEventListener('error', (ev) => {
   console.error('Unhandled Error', ev.error || ev.message);
@@ -0,0 +1,201 @@
+// camerasource.js - One shared webcam stream for the start-screen preview and the hand tracker.
+// Remembers the chosen device / resolution / frame rate and reconnects when the camera is
+// unplugged (track 'ended') or comes back (devicechange).
+
+const STORAGE_KEY = 'cvdriver.camera';
+
+export const CAMERA_MODES = [
+  { label: '640x480 @ 30fps', width: 640, height: 480, frameRate: 30 },
+  { label: '1280x720 @ 30fps', width: 1280, height: 720, frameRate: 30 },
+  { label: '1280x720 @ 60fps', width: 1280, height: 720, frameRate: 60 },
+  { label: '1920x1080 @ 30fps', width: 1920, height: 1080, frameRate: 30 }
+];
+
+const DEFAULT_SETTINGS = { deviceId: null, width: 1280, height: 720, frameRate: 30, sourceMirrored: false };
+
+function loadSettings() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw) return { ...DEFAULT_SETTINGS, ...JSON.parse(raw) };
+  } catch (e) {
+    console.warn('[Camera] Could not read saved camera settings', e);
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+export class CameraSource {
+  constructor({ reconnectEveryMs = 1500 } = {}) {
+    this.settings = loadSettings();
+    this.reconnectEveryMs = reconnectEveryMs;
+    this.stream = null;
+    this.status = 'idle'; // 'idle' | 'starting' | 'live' | 'lost' | 'denied' | 'unavailable'
+    this.elements = new Set(); // <video> elements showing the stream
+    this.listeners = new Set();
+    this.deviceListeners = new Set();
+    this._pending = null;
+    this._reconnectTimer = null;
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this._onDeviceChange());
+    }
+  }
+
+  // Subscribe to status changes: cb(status). Returns an unsubscribe function.
+  onStatusChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  // Subscribe to device list changes: cb(devices). Returns an unsubscribe function.
+  onDevicesChange(callback) {
+    this.deviceListeners.add(callback);
+    return () => this.deviceListeners.delete(callback);
+  }
+
+  // Video inputs; labels are empty until camera permission has been granted
+  async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(d => d.kind === 'videoinput');
+  }
+
+  // Show the shared stream in a <video>; starts the camera on first use
+  async attach(videoEl) {
+    this.elements.add(videoEl);
+    const stream = await this.acquire();
+    if (stream) this._show(videoEl, stream);
+    return stream;
+  }
+
+  // Stop showing the stream in a <video>; the camera is closed once nothing shows it
+  detach(videoEl) {
+    this.elements.delete(videoEl);
+    if (videoEl.srcObject === this.stream) videoEl.srcObject = null;
+    if (!this.elements.size) this._release();
+  }
+
+  // Resolves with the live stream (opening it if needed), or null when no camera could be opened
+  acquire() {
+    if (this.stream && this.status === 'live') return Promise.resolve(this.stream);
+    if (!this._pending) {
+      this._pending = this._open().finally(() => { this._pending = null; });
+    }
+    return this._pending;
+  }
+
+  // Persist settings that don't need the stream reopened
+  remember(changes) {
+    this.settings = { ...this.settings, ...changes };
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings)); } catch {}
+  }
+
+  // Change device and/or mode; the new choice is remembered and the stream reopened.
+  // An open already in flight used the old settings, so let it finish before reopening.
+  async select(changes) {
+    this.remember(changes);
+    if (this._pending) await this._pending;
+    this._closeStream();
+    return this.acquire();
+  }
+
+  async _open() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      this._setStatus('unavailable');
+      return null;
+    }
+    // While reconnecting stay 'lost' so listeners only hear about the eventual recovery
+    if (this.status !== 'lost') this._setStatus('starting');
+    const { deviceId, width, height, frameRate } = this.settings;
+    const video = { width: { ideal: width }, height: { ideal: height }, frameRate: { ideal: frameRate } };
+    let stream = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: deviceId ? { ...video, deviceId: { exact: deviceId } } : video,
+        audio: false
+      });
+    } catch (err) {
+      // The remembered device may be gone; fall back to the default camera
+      if (deviceId && (err.name === 'OverconstrainedError' || err.name === 'NotFoundError')) {
+        try { stream = await navigator.mediaDevices.getUserMedia({ video, audio: false }); } catch (e) { err = e; }
+      }
+      if (!stream) {
+        console.warn('[Camera] getUserMedia failed', err);
+        this._setStatus(err.name === 'NotAllowedError' ? 'denied' : 'lost');
+        if (this.status === 'lost') this._scheduleReconnect();
+        return null;
+      }
+    }
+
+    // Everything detached while getUserMedia was pending
+    if (!this.elements.size) {
+      for (const track of stream.getTracks()) track.stop();
+      this._release();
+      return null;
+    }
+
+    this.stream = stream;
+    for (const track of stream.getVideoTracks()) {
+      track.addEventListener('ended', () => this._onTrackEnded(stream));
+    }
+    for (const el of this.elements) this._show(el, stream);
+    this._setStatus('live');
+    this._notifyDevices();
+    return stream;
+  }
+
+  _show(videoEl, stream) {
+    if (videoEl.srcObject !== stream) videoEl.srcObject = stream;
+    videoEl.play().catch(() => {});
+  }
+
+  _closeStream() {
+    if (!this.stream) return;
+    for (const track of this.stream.getTracks()) track.stop();
+    this.stream = null;
+  }
+
+  // Close the camera and stop reconnecting; the next attach/acquire reopens it
+  _release() {
+    clearTimeout(this._reconnectTimer);
+    this._closeStream();
+    this._setStatus('idle');
+  }
+
+  _onTrackEnded(stream) {
+    if (stream !== this.stream) return; // an old stream we closed ourselves
+    console.warn('[Camera] Video track ended');
+    this._closeStream();
+    this._setStatus('lost');
+    this._scheduleReconnect();
+  }
+
+  _onDeviceChange() {
+    this._notifyDevices();
+    if (this.status === 'lost') this.acquire();
+  }
+
+  _scheduleReconnect() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = setTimeout(() => {
+      if (this.status === 'lost') this.acquire();
+    }, this.reconnectEveryMs);
+  }
+
+  async _notifyDevices() {
+    if (!this.deviceListeners.size) return;
+    try {
+      const devices = await this.listDevices();
+      for (const cb of this.deviceListeners) cb(devices);
+    } catch (e) {}
+  }
+
+  _setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    for (const cb of this.listeners) {
+      try { cb(status); } catch (e) { console.warn('[Camera] listener error', e); }
+    }
+  }
+}
+
+export const cameraSource = new CameraSource();
@@ -0,0 +1,43 @@
+// colliders.js - Registry from Rapier collider handles to game entities
+// PhysicsManager routes collision / contact-force events through it, so a contact between two
+// handles can be resolved to "player 0 hit an NPC" or "player 1 crashed into a fence".
+
+export const ENTITY = {
+    PLAYER: 'player',     // entity = Car, playerIndex set
+    NPC: 'npc',           // entity = NPC car record from WorldManager
+    FENCE: 'fence',
+    GROUND: 'ground',
+    DEBRIS: 'debris',     // entity = the Car that exploded
+    OBSTACLE: 'obstacle',
+    RAMP: 'ramp'
+};
+
+export class ColliderRegistry {
+    constructor() {
+        this.entries = new Map(); // collider handle -> { type, entity, handle, ...extra }
+    }
+
+    // Returns the collider so creation can be wrapped: registry.register(world.createCollider(...), ...)
+    register(collider, type, entity = null, extra = {}) {
+        this.entries.set(collider.handle, { type, entity, handle: collider.handle, ...extra });
+        return collider;
+    }
+
+    unregister(collider) {
+        if (collider) this.entries.delete(collider.handle);
+    }
+
+    // Forget every collider attached to a rigid body (call before world.removeRigidBody)
+    unregisterBody(body) {
+        if (!body) return;
+        for (let i = 0; i < body.numColliders(); i++) this.unregister(body.collider(i));
+    }
+
+    get(handle) {
+        return this.entries.get(handle) || null;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,165 @@
+// facetracking.js - Hands-free driving with MediaPipe Face Mesh (head steering for accessibility)
+// Head yaw or roll steers; mouth opening or head pitch (nodding down / tilting up) drives
+// throttle and brake. Runs on the shared webcam stream (camerasource.js) only while started.
+import { FaceMesh } from '@mediapipe/face_mesh';
+import { InputProvider, createControlFrame } from './input.js';
+import { cameraSource } from './camerasource.js';
+import { isSourceMirrored } from './camera.js';
+
+// Face Mesh landmark indices
+const NOSE_TIP = 1;
+const FOREHEAD = 10;
+const CHIN = 152;
+const UPPER_LIP = 13;
+const LOWER_LIP = 14;
+const CHEEK_A = 234;
+const CHEEK_B = 454;
+const EYE_A = 33;
+const EYE_B = 263;
+
+export const DEFAULT_FACE_INPUT = {
+    steering: 'yaw',      // 'yaw' (turn head) | 'roll' (tilt head)
+    throttle: 'mouth',    // 'mouth' (open to accelerate) | 'pitch' (nod down to accelerate, tilt up to brake)
+    maxYaw: 0.25,         // nose offset from the cheek midpoint (fraction of face width) for full lock
+    maxRollDeg: 20,
+    deadzone: 0.12,       // steering dead zone (fraction of full lock); heads are never perfectly still
+    mouthClosed: 0.03,    // lip gap / face height
+    mouthOpen: 0.12,
+    pitchRange: 0.08,     // nose height change (fraction of eye-to-chin span) for full throttle / brake
+    pitchDeadzone: 0.02,
+    startHoldMs: 1000     // hold the mouth open this long on the start screen to start
+};
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+// Runs Face Mesh on a hidden <video> of the shared stream and keeps the latest head measures
+export class FaceTracker {
+    constructor() {
+        this.faceMesh = null;
+        this.video = null;
+        this.running = false;
+        this.busy = false;
+        this.loopId = 0; // bumped to end a running frame loop (stop() then start() before the next frame)
+        this.latest = null; // { yaw, rollDeg, mouth, pitch, timestamp }
+        this.listeners = new Set();
+    }
+
+    // Subscribe to new measurements: cb(latest). Returns an unsubscribe function.
+    onUpdate(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    async start() {
+        if (this.running) return;
+        this.running = true;
+        const loopId = ++this.loopId;
+        if (!this.faceMesh) {
+            this.faceMesh = new FaceMesh({ locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}` });
+            this.faceMesh.setOptions({ maxNumFaces: 1, refineLandmarks: false, minDetectionConfidence: 0.6, minTrackingConfidence: 0.6 });
+            this.faceMesh.onResults((results) => this._onResults(results));
+        }
+        if (!this.video) {
+            this.video = document.createElement('video');
+            this.video.muted = true;
+            this.video.playsInline = true;
+        }
+        await cameraSource.attach(this.video);
+        if (loopId !== this.loopId) return; // stopped (and maybe restarted) while the camera was opening
+        this._loop(loopId);
+    }
+
+    stop() {
+        this.running = false;
+        this.loopId++;
+        this.latest = null;
+        if (this.video) cameraSource.detach(this.video);
+    }
+
+    _loop(loopId) {
+        if (loopId !== this.loopId) return;
+        if (!this.busy && this.video.readyState >= 2) {
+            this.busy = true;
+            this.faceMesh.send({ image: this.video })
+                .catch(e => console.warn('[FaceTracker] send failed', e))
+                .finally(() => { this.busy = false; });
+        }
+        requestAnimationFrame(() => this._loop(loopId));
+    }
+
+    _onResults(results) {
+        if (!this.running) return; // a send still in flight when stop() was called
+        const lm = results.multiFaceLandmarks && results.multiFaceLandmarks[0];
+        if (!lm) {
+            this.latest = null;
+            return;
+        }
+        const aspect = (this.video.videoWidth || 4) / (this.video.videoHeight || 3);
+        // Cheeks / eyes in screen order so the measures don't depend on landmark handedness
+        const [cheekL, cheekR] = lm[CHEEK_A].x <= lm[CHEEK_B].x ? [lm[CHEEK_A], lm[CHEEK_B]] : [lm[CHEEK_B], lm[CHEEK_A]];
+        const [eyeL, eyeR] = lm[EYE_A].x <= lm[EYE_B].x ? [lm[EYE_A], lm[EYE_B]] : [lm[EYE_B], lm[EYE_A]];
+        const faceWidth = Math.max(1e-6, cheekR.x - cheekL.x);
+        const faceHeight = Math.max(1e-6, lm[CHIN].y - lm[FOREHEAD].y);
+        const eyeMidY = (eyeL.y + eyeR.y) / 2;
+
+        // All measures are in camera image space: positive yaw = nose towards image right,
+        // positive roll = clockwise on the image
+        this.latest = {
+            yaw: (lm[NOSE_TIP].x - (cheekL.x + cheekR.x) / 2) / faceWidth,
+            rollDeg: Math.atan2(eyeR.y - eyeL.y, (eyeR.x - eyeL.x) * aspect) * 180 / Math.PI,
+            mouth: Math.abs(lm[LOWER_LIP].y - lm[UPPER_LIP].y) / faceHeight,
+            pitch: (lm[NOSE_TIP].y - eyeMidY) / Math.max(1e-6, lm[CHIN].y - eyeMidY),
+            timestamp: performance.now()
+        };
+        for (const cb of this.listeners) cb(this.latest);
+    }
+}
+
+export const faceTracker = new FaceTracker();
+
+// Input provider mapping head measures to a control frame. Returns null without a fresh face.
+// The tracker itself is started / stopped by whoever selects face mode (see main.js).
+export class FaceInputProvider extends InputProvider {
+    constructor(tracker = faceTracker, config = DEFAULT_FACE_INPUT) {
+        super();
+        this.tracker = tracker;
+        this.config = config;
+        this.neutralPitch = null;
+        this.staleMs = 300;
+    }
+
+    start() {
+        super.start();
+        this.recenter();
+    }
+
+    // Take the next sample as the level head position (pitch throttle)
+    recenter() {
+        this.neutralPitch = null;
+    }
+
+    poll() {
+        const face = this.tracker.latest;
+        if (!face || performance.now() - face.timestamp > this.staleMs) return null;
+        const cfg = this.config;
+
+        // The raw camera image shows the player's right on the left unless the camera mirrors
+        const toPlayer = isSourceMirrored() ? 1 : -1;
+        const raw = cfg.steering === 'roll' ? face.rollDeg / cfg.maxRollDeg : face.yaw / cfg.maxYaw;
+        const magnitude = clamp((Math.abs(raw) - cfg.deadzone) / (1 - cfg.deadzone), 0, 1);
+        const steer = toPlayer * Math.sign(raw) * magnitude;
+
+        let throttle = 0;
+        let brake = 0;
+        if (cfg.throttle === 'pitch') {
+            // The first sample after recenter() is taken as the level head position
+            if (this.neutralPitch == null) this.neutralPitch = face.pitch;
+            const delta = face.pitch - this.neutralPitch;
+            throttle = clamp((delta - cfg.pitchDeadzone) / cfg.pitchRange, 0, 1);
+            brake = clamp((-delta - cfg.pitchDeadzone) / cfg.pitchRange, 0, 1);
+        } else {
+            throttle = clamp((face.mouth - cfg.mouthClosed) / (cfg.mouthOpen - cfg.mouthClosed), 0, 1);
+        }
+        return createControlFrame({ steer, throttle, brake });
+    }
+}
@@ -0,0 +1,162 @@
+// filters.js - Speed-adaptive signal filters for hand-tracking input
+// All filters share one interface: filter(value, timeSeconds) -> filtered value, and reset().
+// camera.js runs palm centers and one-hand measures through a FilterBank before deriving r/theta,
+// so the game physics and the wheel overlay see the same filtered signal.
+
+// Default filter settings. Units are normalized image coordinates (0..1) per second.
+export const DEFAULT_FILTER_CONFIG = {
+  type: 'oneEuro', // 'oneEuro' | 'kalman' | 'exponential' | 'none'
+  oneEuro: { minCutoff: 1.5, beta: 4.0, dCutoff: 1.0 },
+  kalman: { processNoise: 2.0, measurementNoise: 0.00005 },
+  exponential: { alpha: 0.18 }
+};
+
+// Smoothing factor of a first-order low-pass with the given cutoff (Hz) over dt seconds
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+// Fixed-factor exponential smoothing (the old behaviour; kept for comparison)
+export class ExponentialFilter {
+  constructor({ alpha = 0.18 } = {}) {
+    this.alpha = alpha;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value == null ? value : this.value + (value - this.value) * this.alpha;
+    return this.value;
+  }
+}
+
+// One Euro filter (Casiez et al. 2012): the cutoff rises with speed, so slow movements are
+// smoothed heavily and fast ones follow with little lag.
+export class OneEuroFilter {
+  constructor({ minCutoff = 1.5, beta = 4.0, dCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  filter(value, time) {
+    if (this.value == null || time == null || this.lastTime == null || time <= this.lastTime) {
+      if (this.value == null) this.value = value;
+      this.lastTime = time;
+      return this.value;
+    }
+    const dt = time - this.lastTime;
+    this.lastTime = time;
+
+    const rawDerivative = (value - this.value) / dt;
+    this.derivative += (rawDerivative - this.derivative) * lowPassAlpha(this.dCutoff, dt);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += (value - this.value) * lowPassAlpha(cutoff, dt);
+    return this.value;
+  }
+}
+
+// Constant-velocity Kalman filter over [position, velocity]. processNoise is the
+// acceleration variance, measurementNoise the variance of a single sample.
+export class KalmanFilter {
+  constructor({ processNoise = 2.0, measurementNoise = 0.00005 } = {}) {
+    this.q = processNoise;
+    this.r = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.x = null; // position
+    this.v = 0;    // velocity
+    this.p = [[1, 0], [0, 1]];
+    this.lastTime = null;
+  }
+
+  filter(value, time) {
+    if (this.x == null || time == null || this.lastTime == null || time <= this.lastTime) {
+      if (this.x == null) {
+        this.x = value;
+        this.p = [[this.r, 0], [0, 1]];
+      }
+      this.lastTime = time;
+      return this.x;
+    }
+    const dt = time - this.lastTime;
+    this.lastTime = time;
+
+    // Predict
+    const [[p00, p01], [p10, p11]] = this.p;
+    const dt2 = dt * dt;
+    this.x += this.v * dt;
+    let a00 = p00 + dt * (p10 + p01) + dt2 * p11 + this.q * dt2 * dt2 / 4;
+    let a01 = p01 + dt * p11 + this.q * dt2 * dt / 2;
+    let a10 = p10 + dt * p11 + this.q * dt2 * dt / 2;
+    let a11 = p11 + this.q * dt2;
+
+    // Update with the position measurement
+    const s = a00 + this.r;
+    const k0 = a00 / s;
+    const k1 = a10 / s;
+    const residual = value - this.x;
+    this.x += k0 * residual;
+    this.v += k1 * residual;
+    this.p = [
+      [(1 - k0) * a00, (1 - k0) * a01],
+      [a10 - k1 * a00, a11 - k1 * a01]
+    ];
+    return this.x;
+  }
+}
+
+export function createFilter(config = DEFAULT_FILTER_CONFIG) {
+  switch (config.type) {
+    case 'kalman': return new KalmanFilter(config.kalman);
+    case 'exponential': return new ExponentialFilter(config.exponential);
+    case 'none': return { filter: (value) => value, reset() {} };
+    default: return new OneEuroFilter(config.oneEuro);
+  }
+}
+
+// Named set of independent filters sharing one configuration (one per signal channel)
+export class FilterBank {
+  constructor(config = DEFAULT_FILTER_CONFIG) {
+    this.filters = new Map();
+    this.configure(config);
+  }
+
+  // Replaces the configuration; existing filters are rebuilt on their next sample
+  configure(config) {
+    this.config = {
+      ...DEFAULT_FILTER_CONFIG,
+      ...config,
+      oneEuro: { ...DEFAULT_FILTER_CONFIG.oneEuro, ...config?.oneEuro },
+      kalman: { ...DEFAULT_FILTER_CONFIG.kalman, ...config?.kalman },
+      exponential: { ...DEFAULT_FILTER_CONFIG.exponential, ...config?.exponential }
+    };
+    this.filters.clear();
+  }
+
+  filter(channel, value, time) {
+    let f = this.filters.get(channel);
+    if (!f) {
+      f = createFilter(this.config);
+      this.filters.set(channel, f);
+    }
+    return f.filter(value, time);
+  }
+
+  reset() {
+    for (const f of this.filters.values()) f.reset();
+  }
+}
@@ -0,0 +1,151 @@
+// gamepad.js - Gamepad API input provider (analog sticks / triggers) with hot-plug detection
+import { InputProvider, createControlFrame } from './input.js';
+
+const STORAGE_KEY = 'cvdriver.gamepadBindings';
+
+// Indices follow the W3C "standard" mapping (Xbox / PlayStation layouts).
+// A binding is { axis, invert?, fullRange? } or { button } or { buttons: [...] }.
+// fullRange maps a -1..1 axis (triggers on non-standard pads) to 0..1.
+export const DEFAULT_GAMEPAD_BINDINGS = {
+    steer: { axis: 0 },                 // left stick X
+    throttle: { button: 7 },            // right trigger
+    brake: { button: 6 },               // left trigger
+    handbrake: { buttons: [0, 5] },     // A / Cross, right bumper
+    boost: { buttons: [1, 4] },         // B / Circle, left bumper
+    deadzone: 0.12,
+    triggerDeadzone: 0.05
+};
+
+export class GamepadInputProvider extends InputProvider {
+    constructor(bindings = null) {
+        super();
+        this.bindings = { ...DEFAULT_GAMEPAD_BINDINGS, ...(bindings || this._loadBindings()) };
+        this.index = null; // index of the pad we read from
+        this.connectionListeners = new Set();
+        this._onConnected = (event) => {
+            console.info('[Gamepad] Connected:', event.gamepad.id);
+            if (this.index == null) this.index = event.gamepad.index;
+            this._emitConnection(true, event.gamepad);
+        };
+        this._onDisconnected = (event) => {
+            console.info('[Gamepad] Disconnected:', event.gamepad.id);
+            if (this.index === event.gamepad.index) this.index = this._findConnectedIndex();
+            this._emitConnection(false, event.gamepad);
+        };
+    }
+
+    start() {
+        if (this.started) return;
+        super.start();
+        window.addEventListener('gamepadconnected', this._onConnected);
+        window.addEventListener('gamepaddisconnected', this._onDisconnected);
+        this.index = this._findConnectedIndex();
+    }
+
+    stop() {
+        if (!this.started) return;
+        super.stop();
+        window.removeEventListener('gamepadconnected', this._onConnected);
+        window.removeEventListener('gamepaddisconnected', this._onDisconnected);
+        this.index = null;
+    }
+
+    isConnected() {
+        return this._getPad() != null;
+    }
+
+    onConnectionChange(callback) {
+        this.connectionListeners.add(callback);
+        return () => this.connectionListeners.delete(callback);
+    }
+
+    // Merge new bindings over the current ones and remember them for next session
+    setBindings(bindings) {
+        this.bindings = { ...this.bindings, ...bindings };
+        try { localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings)); } catch {}
+    }
+
+    resetBindings() {
+        this.bindings = { ...DEFAULT_GAMEPAD_BINDINGS };
+        try { localStorage.removeItem(STORAGE_KEY); } catch {}
+    }
+
+    poll() {
+        const pad = this._getPad();
+        if (!pad) return null;
+
+        const b = this.bindings;
+        let steer = this._readAxis(pad, b.steer);
+        if (Math.abs(steer) < b.deadzone) steer = 0;
+        else steer = Math.sign(steer) * (Math.abs(steer) - b.deadzone) / (1 - b.deadzone);
+
+        let throttle = this._readAnalog(pad, b.throttle);
+        let brake = this._readAnalog(pad, b.brake);
+        if (throttle < b.triggerDeadzone) throttle = 0;
+        if (brake < b.triggerDeadzone) brake = 0;
+        const handbrake = this._readPressed(pad, b.handbrake);
+        const boost = this._readPressed(pad, b.boost);
+
+        // Idle pad yields no input so other providers (keyboard, hands) can take over
+        if (steer === 0 && throttle === 0 && brake === 0 && !handbrake && !boost) return null;
+
+        return createControlFrame({ steer, throttle, brake, handbrake, boost });
+    }
+
+    _getPad() {
+        if (!navigator.getGamepads) return null;
+        const pads = navigator.getGamepads();
+        if (this.index != null && pads[this.index] && pads[this.index].connected) return pads[this.index];
+        // Chrome only reports pads after a button press; pick one up lazily
+        this.index = this._findConnectedIndex();
+        return this.index != null ? pads[this.index] : null;
+    }
+
+    _findConnectedIndex() {
+        if (!navigator.getGamepads) return null;
+        for (const pad of navigator.getGamepads()) {
+            if (pad && pad.connected) return pad.index;
+        }
+        return null;
+    }
+
+    _readAxis(pad, binding) {
+        if (!binding || binding.axis == null) return 0;
+        let v = pad.axes[binding.axis] || 0;
+        if (binding.invert) v = -v;
+        return Math.max(-1, Math.min(1, v));
+    }
+
+    // Triggers: analog button value (standard mapping) or an axis
+    _readAnalog(pad, binding) {
+        if (!binding) return 0;
+        if (binding.button != null) {
+            const button = pad.buttons[binding.button];
+            return button ? button.value : 0;
+        }
+        if (binding.axis != null) {
+            const v = this._readAxis(pad, binding);
+            return binding.fullRange ? (v + 1) / 2 : Math.max(0, v);
+        }
+        return 0;
+    }
+
+    _readPressed(pad, binding) {
+        if (!binding) return false;
+        const buttons = binding.buttons || (binding.button != null ? [binding.button] : []);
+        return buttons.some(i => pad.buttons[i] && pad.buttons[i].pressed);
+    }
+
+    _loadBindings() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    _emitConnection(connected, pad) {
+        for (const cb of this.connectionListeners) cb(connected, pad);
+    }
+}
@@ -0,0 +1,229 @@
+// gestures.js - Declarative hand gesture recognition over MediaPipe's 21 hand landmarks
+//
+// A gesture definition describes finger states and optional extra constraints:
+//   fingers:  { thumb, index, middle, ring, pinky } each 'extended' | 'curled' | 'any'
+//             (thumb also accepts 'up', 'down' and 'folded')
+//   pinch:    true when thumb and index tips must touch
+//   hands:    'any' (fires per hand, default) or 'both' (needs every hand to match)
+//             In versus, hands carry a player index and are recognized per player: 'both' means
+//             both of that player's hands, and state keys / event hands are prefixed (p1-left).
+//   minConfidence, holdMs, debounceMs: activation rules (see DEFAULT_RULES)
+// Confidence is the weakest of the per-constraint soft scores (0..1).
+
+// Landmark indices
+const WRIST = 0;
+const FINGERS = {
+  thumb: { tip: 4, mcp: 2 },
+  index: { tip: 8, mcp: 5 },
+  middle: { tip: 12, mcp: 9 },
+  ring: { tip: 16, mcp: 13 },
+  pinky: { tip: 20, mcp: 17 }
+};
+
+const DEFAULT_RULES = {
+  minConfidence: 0.6,
+  releaseConfidence: 0.45, // hysteresis: active gestures end below this
+  holdMs: 120,             // confidence must stay above minConfidence this long to start
+  debounceMs: 250          // minimum time between an end and the next start
+};
+
+export const GESTURES = {
+  openPalm: { fingers: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' } },
+  fist: { fingers: { thumb: 'folded', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' } },
+  pinch: { pinch: true, fingers: { middle: 'extended', ring: 'any', pinky: 'any' } },
+  peace: { fingers: { index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' } },
+  pointing: { fingers: { index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' }, holdMs: 300 },
+  thumbsUp: { fingers: { thumb: 'up', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' } },
+  thumbsDown: { fingers: { thumb: 'down', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' }, holdMs: 400 },
+  doubleThumbsUp: { hands: 'both', fingers: { thumb: 'up', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' }, holdMs: 60 },
+  doublePalm: { hands: 'both', fingers: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' }, holdMs: 1000, debounceMs: 1000 }
+};
+
+// Which gesture drives which game action
+export const GESTURE_BINDINGS = {
+  start: 'doubleThumbsUp',
+  cameraToggle: 'pointing',
+  pause: 'doublePalm',
+  brake: 'pinch',
+  boost: 'peace',
+  reverse: 'thumbsDown' // toggles reverse gear
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Palm size (wrist to middle MCP) normalizes distances across hand scale / camera distance
+function handSize(lm) {
+  return dist(lm[WRIST], lm[FINGERS.middle.mcp]) || 1e-6;
+}
+
+// Ratio of tip-to-wrist over MCP-to-wrist distance: ~2 when extended, < 0.85 when curled
+function fingerRatio(lm, finger) {
+  const { tip, mcp } = FINGERS[finger];
+  return dist(lm[tip], lm[WRIST]) / (dist(lm[mcp], lm[WRIST]) || 1e-6);
+}
+
+// 0 (fist) .. 1 (open hand) from the average extension of the four fingers
+export function handOpenness(lm) {
+  if (!lm || lm.length < 21) return 0;
+  const fingers = ['index', 'middle', 'ring', 'pinky'];
+  const avg = fingers.reduce((sum, f) => sum + fingerRatio(lm, f), 0) / fingers.length;
+  return clamp01((avg - 0.9) / 1.0);
+}
+
+function fingerScore(lm, finger, state) {
+  if (state === 'any' || state == null) return 1;
+  const size = handSize(lm);
+  if (finger === 'thumb') {
+    const tip = lm[FINGERS.thumb.tip];
+    const spread = dist(tip, lm[FINGERS.index.mcp]) / size;
+    if (state === 'up') return clamp01(((lm[FINGERS.thumb.mcp].y - tip.y) / size - 0.05) / 0.25);
+    if (state === 'down') return clamp01(((tip.y - lm[FINGERS.thumb.mcp].y) / size - 0.05) / 0.25);
+    if (state === 'extended') return clamp01((spread - 0.45) / 0.3);
+    // A thumb can't curl like the other fingers; 'curled' means tucked in, same as 'folded'
+    if (state === 'folded' || state === 'curled') return clamp01((0.75 - spread) / 0.3);
+    return 0;
+  }
+  const ratio = fingerRatio(lm, finger);
+  if (state === 'extended') return clamp01((ratio - 1.0) / 0.4);
+  if (state === 'curled') return clamp01((1.1 - ratio) / 0.3);
+  return 0;
+}
+
+// Confidence (0..1) that a single hand's landmarks match a definition
+export function scoreGesture(lm, definition) {
+  if (!lm || lm.length < 21) return 0;
+  let score = 1;
+  for (const [finger, state] of Object.entries(definition.fingers || {})) {
+    score = Math.min(score, fingerScore(lm, finger, state));
+    if (score === 0) return 0;
+  }
+  if (definition.pinch) {
+    const gap = dist(lm[FINGERS.thumb.tip], lm[FINGERS.index.tip]) / handSize(lm);
+    score = Math.min(score, clamp01((0.45 - gap) / 0.25));
+  }
+  return score;
+}
+
+export class GestureRecognizer {
+  constructor(definitions = GESTURES) {
+    this.definitions = {};
+    this.states = new Map();    // `${gesture}:${hand}` -> { player, confidence, candidateSince, active, lastEnd }
+    this.listeners = new Map(); // gesture name or '*' -> Set<callback>
+    for (const [name, def] of Object.entries(definitions)) this.define(name, def);
+  }
+
+  define(name, definition) {
+    this.definitions[name] = { ...DEFAULT_RULES, hands: 'any', ...definition };
+  }
+
+  // Subscribe to 'start' / 'end' events of one gesture, or '*' for all. Returns an unsubscribe function.
+  // 'any' gestures fire once per hand; 'start' events carry first = true only when no other hand (of the
+  // same player in versus) already had the gesture, so toggles can react once when several hands make it
+  // together. Events also carry player (null outside versus).
+  on(name, callback) {
+    if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+    this.listeners.get(name).add(callback);
+    return () => this.listeners.get(name)?.delete(callback);
+  }
+
+  isActive(name, hand = null) {
+    for (const [key, state] of this.states) {
+      if (!state.active) continue;
+      const [gesture, handKey] = key.split(':');
+      if (gesture === name && (hand == null || handKey === hand)) return true;
+    }
+    return false;
+  }
+
+  // Active on any hand of one player (null = solo)
+  _isActiveFor(name, player) {
+    for (const [key, state] of this.states) {
+      if (state.active && state.player === player && key.split(':')[0] === name) return true;
+    }
+    return false;
+  }
+
+  getConfidence(name, hand = 'both') {
+    return this.states.get(`${name}:${hand}`)?.confidence || 0;
+  }
+
+  // hands: [{ landmarks, label: 'left' | 'right' | null, player? }] (player only in versus)
+  update(hands, now = performance.now()) {
+    const seen = new Set();
+    // Solo play is one group with player null (no key prefix)
+    const groups = new Map();
+    for (const hand of hands) {
+      const player = hand.player ?? null;
+      if (!groups.has(player)) groups.set(player, []);
+      groups.get(player).push(hand);
+    }
+    if (!groups.size) groups.set(null, []);
+
+    for (const [name, def] of Object.entries(this.definitions)) {
+      for (const [player, group] of groups) {
+        const prefix = player == null ? '' : `p${player}-`;
+        if (def.hands === 'both') {
+          let confidence = group.length >= 2 ? 1 : 0;
+          for (const hand of group) confidence = Math.min(confidence, scoreGesture(hand.landmarks, def));
+          this._step(name, `${prefix}both`, player, def, confidence, now);
+          seen.add(`${name}:${prefix}both`);
+        } else {
+          group.forEach((hand, i) => {
+            const handKey = prefix + (hand.label || String(i));
+            this._step(name, handKey, player, def, scoreGesture(hand.landmarks, def), now);
+            seen.add(`${name}:${handKey}`);
+          });
+        }
+      }
+    }
+    // Hands that disappeared end their gestures
+    for (const [key, state] of this.states) {
+      if (seen.has(key)) continue;
+      const [name, handKey] = key.split(':');
+      this._step(name, handKey, state.player, this.definitions[name], 0, now);
+      if (!state.active) this.states.delete(key);
+    }
+  }
+
+  _step(name, hand, player, def, confidence, now) {
+    const key = `${name}:${hand}`;
+    let state = this.states.get(key);
+    if (!state) {
+      state = { player, confidence: 0, candidateSince: null, active: false, lastEnd: -Infinity };
+      this.states.set(key, state);
+    }
+    state.confidence = confidence;
+
+    if (state.active) {
+      if (confidence < def.releaseConfidence) {
+        state.active = false;
+        state.lastEnd = now;
+        state.candidateSince = null;
+        this._emit({ gesture: name, hand, player, phase: 'end', confidence, time: now });
+      }
+      return;
+    }
+
+    if (confidence < def.minConfidence) {
+      state.candidateSince = null;
+      return;
+    }
+    if (state.candidateSince == null) state.candidateSince = now;
+    if (now - state.candidateSince >= def.holdMs && now - state.lastEnd >= def.debounceMs) {
+      const first = !this._isActiveFor(name, player);
+      state.active = true;
+      this._emit({ gesture: name, hand, player, phase: 'start', first, confidence, time: now });
+    }
+  }
+
+  _emit(event) {
+    for (const key of [event.gesture, '*']) {
+      const set = this.listeners.get(key);
+      if (!set) continue;
+      for (const cb of set) {
+        try { cb(event); } catch (e) { console.warn('[Gestures] listener error', e); }
+      }
+    }
+  }
+}
@@ -0,0 +1,103 @@
+// handsclient.js - Main-thread side of handsworker.js: captures frames as ImageBitmaps and
+// hands MediaPipe results back in the same shape hands.onResults() delivers them
+
+export function isWorkerInferenceSupported() {
+  try {
+    const disabled = new URLSearchParams(window.location.search).get('handsWorker') === '0';
+    return !disabled && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  } catch (e) {
+    return false;
+  }
+}
+
+export class HandsWorkerClient {
+  constructor(options, onResults) {
+    this.options = options;
+    this.onResults = onResults;
+    this.worker = null;
+    this.ready = false;
+    this.failed = false;
+    this.busy = false; // one frame in flight at a time; extra frames are dropped
+    this.nextId = 1;
+    this.lastInferenceMs = null;
+    this.capturedAt = null; // camera capture time of the in-flight frame (performance.now() clock)
+    this.sentAt = null; // when the in-flight frame was handed to the worker
+  }
+
+  // Resolves true once the worker has loaded the model, false if it failed or timed out
+  start(timeoutMs = 15000) {
+    return new Promise(resolve => {
+      let settled = false;
+      const settle = (ok) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this.ready = ok;
+        this.failed = !ok;
+        if (!ok) this.terminate();
+        resolve(ok);
+      };
+      const timer = setTimeout(() => settle(false), timeoutMs);
+
+      try {
+        this.worker = new Worker(new URL('./handsworker.js', import.meta.url));
+      } catch (e) {
+        console.warn('[HandsWorker] Could not create worker', e);
+        settle(false);
+        return;
+      }
+      this.worker.onmessage = (event) => {
+        const msg = event.data;
+        if (msg.type === 'ready') {
+          settle(true);
+        } else if (msg.type === 'results') {
+          this.busy = false;
+          this.lastInferenceMs = msg.inferenceMs;
+          this.onResults({ multiHandLandmarks: msg.multiHandLandmarks, multiHandedness: msg.multiHandedness, inferenceMs: msg.inferenceMs, capturedAt: this.capturedAt, sentAt: this.sentAt });
+        } else if (msg.type === 'error') {
+          this.busy = false;
+          console.warn('[HandsWorker]', msg.message);
+          if (!this.ready) settle(false);
+        }
+      };
+      this.worker.onerror = (e) => {
+        console.warn('[HandsWorker] Worker error', e.message || e);
+        this.busy = false;
+        settle(false);
+      };
+      this.worker.postMessage({ type: 'init', options: this.options });
+    });
+  }
+
+  // Returns false when the frame was dropped (worker busy / not ready).
+  // size ({ width, height }) downscales the frame during capture; capturedAt is when the camera
+  // captured the frame (defaults to now).
+  send(source, mirror, size = null, capturedAt = null) {
+    if (!this.ready || this.busy) return false;
+    this.busy = true;
+    this.sentAt = performance.now();
+    this.capturedAt = capturedAt ?? this.sentAt;
+    const id = this.nextId++;
+    const capture = size
+      ? createImageBitmap(source, { resizeWidth: size.width, resizeHeight: size.height, resizeQuality: 'low' })
+      : createImageBitmap(source);
+    capture.then(bitmap => {
+      if (!this.worker) { bitmap.close(); return; }
+      this.worker.postMessage({ type: 'frame', id, bitmap, mirror }, [bitmap]);
+    }).catch(() => { this.busy = false; });
+    return true;
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+    if (this.worker) this.worker.postMessage({ type: 'setOptions', options: this.options });
+  }
+
+  terminate() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.ready = false;
+    this.busy = false;
+  }
+}
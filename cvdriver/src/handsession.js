@@ -0,0 +1,133 @@
+// handsession.js - Record MediaPipe Hands results to JSON and play them back through camera.js
+// Session format (version 1):
+// { version, createdAt, width, height, mirrorVideo, frames: [{ t, multiHandLandmarks, multiHandedness }] }
+// where t is milliseconds since the start of the recording.
+
+const SESSION_VERSION = 1;
+
+function copyLandmarks(list) {
+  return (list || []).map(hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z })));
+}
+
+function copyHandedness(list) {
+  // MediaPipe has shipped both { label, score } and { classification: [{ label, score }] }
+  return (list || []).map(h => {
+    const c = h?.classification?.[0] || h || {};
+    return { index: c.index ?? h?.index ?? 0, label: c.label ?? null, score: c.score ?? null };
+  });
+}
+
+export class HandSessionRecorder {
+  constructor() {
+    this.session = null;
+    this.startTime = 0;
+  }
+
+  get recording() {
+    return this.session != null;
+  }
+
+  start(meta = {}) {
+    this.startTime = performance.now();
+    this.session = {
+      version: SESSION_VERSION,
+      createdAt: new Date().toISOString(),
+      width: meta.width || 640,
+      height: meta.height || 480,
+      mirrorVideo: meta.mirrorVideo ?? true,
+      frames: []
+    };
+  }
+
+  capture(results, now = performance.now()) {
+    if (!this.session) return;
+    this.session.frames.push({
+      t: Math.round((now - this.startTime) * 10) / 10,
+      multiHandLandmarks: copyLandmarks(results.multiHandLandmarks),
+      multiHandedness: copyHandedness(results.multiHandedness)
+    });
+  }
+
+  stop() {
+    const session = this.session;
+    this.session = null;
+    return session;
+  }
+}
+
+export function downloadHandSession(session, filename) {
+  const name = filename || `hand-session-${session.createdAt.replace(/[:.]/g, '-')}.json`;
+  const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// Accepts a session object, JSON string, File/Blob or URL string
+export async function loadHandSession(source) {
+  let data = source;
+  if (source instanceof Blob) data = await source.text();
+  else if (typeof source === 'string' && !source.trim().startsWith('{')) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`Failed to fetch hand session: ${res.status}`);
+    data = await res.text();
+  }
+  const session = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!session || !Array.isArray(session.frames)) throw new Error('Invalid hand session: missing frames');
+  if (session.version > SESSION_VERSION) console.warn('[HandSession] Newer session version', session.version);
+  return session;
+}
+
+// Replays frames at their recorded timestamps (scaled by speed)
+export class HandSessionPlayer {
+  constructor() {
+    this.session = null;
+    this.active = false;
+    this.timer = null;
+    this._resolve = null;
+  }
+
+  play(session, onFrame, { loop = false, speed = 1 } = {}) {
+    this.stop();
+    this.session = session;
+    this.active = true;
+    const frames = session.frames;
+    let index = 0;
+    let start = performance.now();
+
+    return new Promise(resolve => {
+      this._resolve = resolve;
+      const tick = () => {
+        if (!this.active) return;
+        const elapsed = (performance.now() - start) * speed;
+        while (index < frames.length && frames[index].t <= elapsed) {
+          try { onFrame(frames[index]); } catch (e) { console.warn('[HandSession] frame error', e); }
+          index++;
+        }
+        if (index >= frames.length) {
+          if (!loop) { this.stop(); return; }
+          index = 0;
+          start = performance.now();
+        }
+        this.timer = setTimeout(tick, 1000 / 120);
+      };
+      tick();
+    });
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    const wasActive = this.active;
+    this.active = false;
+    if (wasActive && this._resolve) {
+      const resolve = this._resolve;
+      this._resolve = null;
+      resolve();
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// handsworker.js - Runs MediaPipe Hands inference off the main thread (classic worker)
+// Protocol:
+//   in:  { type: 'init', options }            -> { type: 'ready' } | { type: 'error', message }
+//        { type: 'frame', id, bitmap, mirror } -> { type: 'results', id, inferenceMs, multiHandLandmarks, multiHandedness }
+//        { type: 'setOptions', options }
+// Frames are ImageBitmaps transferred from the main thread; mirroring happens here on an OffscreenCanvas.
+
+const CDN_BASE = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/';
+
+let hands = null;
+let canvas = null;
+let ctx = null;
+let current = null; // { id, start } of the frame being processed
+
+function post(message) {
+  self.postMessage(message);
+}
+
+function onResults(results) {
+  if (!current) return;
+  // Only plain landmark data crosses back; results.image is not transferable
+  post({
+    type: 'results',
+    id: current.id,
+    inferenceMs: performance.now() - current.start,
+    multiHandLandmarks: (results.multiHandLandmarks || []).map(hand => hand.map(p => ({ x: p.x, y: p.y, z: p.z }))),
+    multiHandedness: (results.multiHandedness || []).map(h => ({ index: h.index, score: h.score, label: h.label }))
+  });
+  current = null;
+}
+
+async function init(options) {
+  importScripts(CDN_BASE + 'hands.js');
+  hands = new self.Hands({ locateFile: (file) => CDN_BASE + file });
+  hands.setOptions(options);
+  hands.onResults(onResults);
+  await hands.initialize();
+}
+
+async function processFrame({ id, bitmap, mirror }) {
+  const { width, height } = bitmap;
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d');
+  }
+  ctx.save();
+  if (mirror) {
+    ctx.scale(-1, 1);
+    ctx.drawImage(bitmap, -width, 0, width, height);
+  } else {
+    ctx.drawImage(bitmap, 0, 0, width, height);
+  }
+  ctx.restore();
+  bitmap.close();
+
+  current = { id, start: performance.now() };
+  await hands.send({ image: canvas });
+  // No hands in frame still calls onResults; guard against solutions that skip it
+  if (current && current.id === id) {
+    post({ type: 'results', id, inferenceMs: performance.now() - current.start, multiHandLandmarks: [], multiHandedness: [] });
+    current = null;
+  }
+}
+
+self.onmessage = async (event) => {
+  const msg = event.data;
+  try {
+    if (msg.type === 'init') {
+      await init(msg.options);
+      post({ type: 'ready' });
+    } else if (msg.type === 'frame') {
+      if (!hands) { msg.bitmap.close(); return; }
+      await processFrame(msg);
+    } else if (msg.type === 'setOptions') {
+      if (hands) hands.setOptions(msg.options);
+    }
+  } catch (e) {
+    current = null;
+    post({ type: 'error', id: msg.id, message: String((e && e.message) || e) });
+  }
+};
@@ -0,0 +1,404 @@
+// input.js - Input providers and registry producing one normalized control frame per physics tick
+import { getLatestHandData, isGestureActive, onGesture } from './camera.js';
+import { GESTURE_BINDINGS } from './gestures.js';
+import { DEFAULT_RESPONSE, responsePreview, shapeAxis, speedSteeringScale } from './responsecurves.js';
+
+// Normalized control frame consumed by Car.applyControlFrame()
+//   steer:     -1..1 (negative = left, positive = right)
+//   throttle:   0..1
+//   brake:      0..1
+//   handbrake:  boolean
+//   boost:      boolean
+//   reverse:    boolean (reverse gear: throttle drives backwards)
+export function createControlFrame(values = {}) {
+    return {
+        steer: 0,
+        throttle: 0,
+        brake: 0,
+        handbrake: false,
+        boost: false,
+        reverse: false,
+        ...values
+    };
+}
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+// Base class: providers return a control frame from poll(), or null when they have no input yet
+export class InputProvider {
+    constructor() {
+        this.started = false;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    stop() {
+        this.started = false;
+    }
+
+    poll(deltaTime) {
+        return null;
+    }
+}
+
+// ===== Keyboard (WASD / arrows, Space = handbrake, Shift = boost) =====
+export class KeyboardInputProvider extends InputProvider {
+    constructor() {
+        super();
+        this.keys = new Set();
+        this._onKeyDown = (event) => {
+            if (!KeyboardInputProvider.KEYS.has(event.code)) return;
+            this.keys.add(event.code);
+            if (event.code === 'Space' || event.code.startsWith('Arrow')) event.preventDefault();
+        };
+        this._onKeyUp = (event) => {
+            if (!KeyboardInputProvider.KEYS.has(event.code)) return;
+            this.keys.delete(event.code);
+            if (event.code === 'Space' || event.code.startsWith('Arrow')) event.preventDefault();
+        };
+        this._onBlur = () => this.keys.clear();
+    }
+
+    start() {
+        if (this.started) return;
+        super.start();
+        document.addEventListener('keydown', this._onKeyDown);
+        document.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('blur', this._onBlur);
+    }
+
+    stop() {
+        if (!this.started) return;
+        super.stop();
+        document.removeEventListener('keydown', this._onKeyDown);
+        document.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._onBlur);
+        this.keys.clear();
+    }
+
+    poll() {
+        const k = this.keys;
+        const left = k.has('KeyA') || k.has('ArrowLeft');
+        const right = k.has('KeyD') || k.has('ArrowRight');
+        return createControlFrame({
+            steer: (right ? 1 : 0) - (left ? 1 : 0),
+            throttle: (k.has('KeyW') || k.has('ArrowUp')) ? 1 : 0,
+            brake: (k.has('KeyS') || k.has('ArrowDown')) ? 1 : 0,
+            handbrake: k.has('Space'),
+            boost: k.has('ShiftLeft') || k.has('ShiftRight')
+        });
+    }
+}
+KeyboardInputProvider.KEYS = new Set([
+    'KeyW', 'KeyA', 'KeyS', 'KeyD',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    'Space', 'ShiftLeft', 'ShiftRight'
+]);
+
+// ===== Hand tracking (r/theta from camera.js) =====
+// config is the HAND_INPUT object owned by PhysicsManager so tuning it there still applies.
+// Two-hand control maps r/theta; one-hand control (config.oneHand) maps wrist roll or palm
+// position to steering and openness or height to throttle. Switching between them blends
+// over oneHand.handoverSeconds so the car doesn't jerk when a hand drops out of view.
+// The reverse gesture toggles reverse gear; losing the hands drops back into drive.
+// Steering and throttle are shaped by config.response (responsecurves.js); getSpeed() feeds
+// the speed-sensitive steering reduction.
+// player picks the versus-mode player whose hands are read (0 = left half of the frame). Versus play
+// turns useGestures off: brake and boost are read with isGestureActive, which doesn't tell players apart.
+export class HandInputProvider extends InputProvider {
+    constructor(config, getSpeed = () => 0, { player = 0, useGestures = true } = {}) {
+        super();
+        this.config = config;
+        this.getSpeed = getSpeed;
+        this.player = player;
+        this.useGestures = useGestures;
+        this._reset();
+        this._offReverseGesture = null;
+    }
+
+    start() {
+        if (this.started) return;
+        super.start();
+        this._offReverseGesture = onGesture(GESTURE_BINDINGS.reverse, (event) => {
+            // Both hands giving thumbs-down is still one toggle
+            if (this.useGestures && event.phase === 'start' && event.first) this.reverseGear = !this.reverseGear;
+        });
+    }
+
+    stop() {
+        super.stop();
+        if (this._offReverseGesture) this._offReverseGesture();
+        this._offReverseGesture = null;
+        this._reset();
+    }
+
+    _reset() {
+        this.reverseGear = false;
+        this.depthLearn = null;
+        this.twoHandWeight = null; // 1 = two-hand control, 0 = one-hand control
+    }
+
+    poll(deltaTime = 0) {
+        const hand = getLatestHandData(this.player);
+        if (!hand || !hand.mode) return null;
+        // Stale samples produce no input; PhysicsManager's fail-safe decides what the car does
+        if (hand.stale) {
+            this._reset();
+            return null;
+        }
+
+        const cfg = this.config;
+        const two = this._twoHandControls(hand);
+        const one = this._oneHandControls(hand);
+        if (!two && !one) return null;
+
+        const target = hand.mode === 'two' ? 1 : 0;
+        if (this.twoHandWeight == null) this.twoHandWeight = target;
+        const step = deltaTime / Math.max(1e-3, cfg.oneHand.handoverSeconds);
+        this.twoHandWeight += clamp(target - this.twoHandWeight, -step, step);
+        const w = !one ? 1 : (!two ? 0 : this.twoHandWeight);
+        const mix = (a, b) => (a || 0) * (1 - w) + (b || 0) * w;
+
+        const response = cfg.response || DEFAULT_RESPONSE;
+        const steerRaw = mix(one?.steer, two?.steer);
+        const throttleRaw = mix(one?.throttle, two?.throttle);
+        const steer = shapeAxis(steerRaw, response.steering) * speedSteeringScale(this.getSpeed(), response.steering);
+        const throttle = shapeAxis(throttleRaw, response.throttle);
+        if (this.player === 0) Object.assign(responsePreview, { steerRaw, steer, throttleRaw, throttle });
+
+        const gestureBrake = this.useGestures && isGestureActive(GESTURE_BINDINGS.brake) ? 1 : 0;
+        return createControlFrame({
+            steer,
+            throttle,
+            brake: Math.max(gestureBrake, mix(one?.brake, two?.brake)),
+            boost: this.useGestures && isGestureActive(GESTURE_BINDINGS.boost),
+            reverse: this.reverseGear
+        });
+    }
+
+    // Current blend between one-hand (0) and two-hand (1) control, for HUD display
+    getTwoHandWeight() {
+        return this.twoHandWeight;
+    }
+
+    _twoHandControls(hand) {
+        if (hand.theta == null || hand.r == null) return null;
+        const cfg = this.config;
+        // r/theta arrive already filtered (camera.js / filters.js)
+        // With invertSteering (the default) hands tilted clockwise on screen (positive theta) steer right
+        const steeringRaw = (hand.theta - (cfg.neutralThetaDeg || 0)) / cfg.maxThetaDeg;
+        const steer = clamp(cfg.invertSteering ? steeringRaw : -steeringRaw, -1, 1);
+
+        if (cfg.throttleModel === 'depth') return { steer, ...this._depthControls(hand) };
+        const throttleNorm = (hand.r - cfg.minRForThrottle) / (cfg.maxR - cfg.minRForThrottle);
+        return { steer, throttle: clamp(throttleNorm, 0, 1) };
+    }
+
+    // Throttle / brake from palm size relative to its resting size
+    _depthControls(hand) {
+        const cfg = this.config;
+        const dc = cfg.depth;
+        if (hand.depth == null) return { throttle: 0, brake: 0 };
+        let neutral = cfg.neutralDepth;
+        if (neutral == null) {
+            // No calibrated resting size: average the first learnMs of this tracking run
+            if (!this.depthLearn) this.depthLearn = { start: hand.timestamp, last: null, sum: 0, count: 0 };
+            const learn = this.depthLearn;
+            if (hand.timestamp !== learn.last && hand.timestamp - learn.start < dc.learnMs) {
+                learn.last = hand.timestamp;
+                learn.sum += hand.depth;
+                learn.count++;
+            }
+            neutral = learn.sum / learn.count;
+        }
+        const ratio = hand.depth / neutral;
+        return {
+            throttle: clamp((ratio - 1 - dc.deadzone) / dc.pushRange, 0, 1),
+            brake: clamp((1 - dc.deadzone - ratio) / dc.pullRange, 0, 1)
+        };
+    }
+
+    _oneHandControls(hand) {
+        if (!hand.oneHand) return null;
+        const cfg = this.config;
+        const oc = cfg.oneHand;
+        const h = hand.oneHand;
+
+        // Both measures are positive when the hand leans / moves right on screen
+        const steeringRaw = oc.steering === 'position'
+            ? (h.x - 0.5) / oc.positionRange
+            : h.roll / oc.maxRollDeg;
+        const steer = clamp(cfg.invertSteering ? steeringRaw : -steeringRaw, -1, 1);
+
+        if (oc.throttle === 'depth') return { steer, ...this._depthControls(hand) };
+        const throttle = oc.throttle === 'height'
+            ? (oc.lowY - h.y) / (oc.lowY - oc.highY)
+            : (h.openness - oc.minOpenness) / (1 - oc.minOpenness);
+        return { steer, throttle: clamp(throttle, 0, 1) };
+    }
+}
+
+// ===== Scripted / replay =====
+// script is either a function (timeSeconds) => frame values, or an array of
+// { t, frame } keyframes (as returned by InputManager.stopRecording()) held until the next one.
+export class ScriptedInputProvider extends InputProvider {
+    constructor(script, { loop = false } = {}) {
+        super();
+        this.script = script;
+        this.loop = loop;
+        this.time = 0;
+        this.index = 0;
+    }
+
+    start() {
+        super.start();
+        this.time = 0;
+        this.index = 0;
+    }
+
+    poll(deltaTime = 0) {
+        this.time += deltaTime;
+        if (typeof this.script === 'function') {
+            const values = this.script(this.time);
+            return values ? createControlFrame(values) : null;
+        }
+
+        const frames = this.script;
+        if (!frames || !frames.length) return null;
+        const duration = frames[frames.length - 1].t;
+        if (this.time > duration) {
+            if (!this.loop) return null;
+            this.time = duration > 0 ? this.time % duration : 0;
+            this.index = 0;
+        }
+        while (this.index < frames.length - 1 && frames[this.index + 1].t <= this.time) this.index++;
+        return createControlFrame(frames[this.index].frame);
+    }
+}
+
+// ===== Composite: first provider with input wins, digital buttons are merged =====
+export class CompositeInputProvider extends InputProvider {
+    constructor(manager, names) {
+        super();
+        this.manager = manager;
+        this.names = names;
+        this.lastSource = null; // name of the provider whose frame won the last poll
+    }
+
+    poll(deltaTime) {
+        let primary = null;
+        this.lastSource = null;
+        let handbrake = false;
+        let boost = false;
+        for (const name of this.names) {
+            const provider = this.manager.get(name);
+            if (!provider) continue;
+            const frame = provider.poll(deltaTime);
+            if (!frame) continue;
+            if (!primary) {
+                primary = frame;
+                this.lastSource = name;
+            }
+            handbrake = handbrake || frame.handbrake;
+            boost = boost || frame.boost;
+        }
+        if (!primary) return null;
+        return createControlFrame({ ...primary, handbrake, boost });
+    }
+}
+
+// ===== Registry =====
+export class InputManager {
+    constructor() {
+        this.providers = new Map(); // name -> InputProvider
+        this.activeName = null;
+        this.listeners = new Set();
+        this.lastFrame = createControlFrame();
+        this.lastSource = null; // provider that produced lastFrame (resolved through 'auto'), null if neutral
+        this.recording = null; // { time, frames }
+    }
+
+    register(name, provider) {
+        const previous = this.providers.get(name);
+        if (previous && previous !== provider) previous.stop();
+        this.providers.set(name, provider);
+        provider.start();
+        if (!this.activeName) this.activeName = name;
+        return provider;
+    }
+
+    unregister(name) {
+        const provider = this.providers.get(name);
+        if (!provider) return;
+        provider.stop();
+        this.providers.delete(name);
+        if (this.activeName === name) this.activeName = this.providers.keys().next().value || null;
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    list() {
+        return [...this.providers.keys()];
+    }
+
+    getActiveName() {
+        return this.activeName;
+    }
+
+    // Runtime switch between control schemes
+    use(name) {
+        if (!this.providers.has(name)) {
+            console.warn(`[Input] Unknown input provider "${name}"`);
+            return false;
+        }
+        if (name === this.activeName) return true;
+        this.activeName = name;
+        for (const cb of this.listeners) cb(name);
+        return true;
+    }
+
+    cycle() {
+        const names = this.list();
+        if (!names.length) return null;
+        const next = names[(names.indexOf(this.activeName) + 1) % names.length];
+        this.use(next);
+        return next;
+    }
+
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    // Returns the active provider's frame, or a neutral frame when it has no input
+    poll(deltaTime) {
+        const provider = this.providers.get(this.activeName);
+        const polled = provider && provider.poll(deltaTime);
+        const frame = polled || createControlFrame();
+        this.lastFrame = frame;
+        this.lastSource = polled ? provider.lastSource ?? this.activeName : null;
+        if (this.recording) {
+            this.recording.time += deltaTime;
+            this.recording.frames.push({ t: this.recording.time, frame: { ...frame } });
+        }
+        return frame;
+    }
+
+    startRecording() {
+        this.recording = { time: 0, frames: [] };
+    }
+
+    stopRecording() {
+        const frames = this.recording ? this.recording.frames : [];
+        this.recording = null;
+        return frames;
+    }
+}
+
+export const inputManager = new InputManager();
+inputManager.register('auto', new CompositeInputProvider(inputManager, ['hand', 'gamepad', 'keyboard']));
+inputManager.register('keyboard', new KeyboardInputProvider());
@@ -0,0 +1,199 @@
+// latency.js - End-to-end input latency instrumentation and diagnostics overlay
+// Each hand sample is timestamped (performance.now() ms) at every stage of the pipeline:
+//   capture   frame captured by the camera (requestVideoFrameCallback metadata, camera.js)
+//   send      frame handed to MediaPipe (camera.js / handsclient.js)
+//   result    MediaPipe landmarks back on the main thread
+//   filtered  r/theta / one-hand measures derived and filtered (camera.js)
+//   physics   first physics tick after the sample (physics.js)
+//   render    first rendered game frame after that tick (main.js)
+// Latencies are reported relative to capture (equal to send without requestVideoFrameCallback).
+// Toggle the overlay with L, export with its button.
+import { trackingGovernor } from './trackinggovernor.js';
+import { cameraSource } from './camerasource.js';
+
+export const LATENCY_STAGES = ['send', 'result', 'filtered', 'physics', 'render'];
+
+// Rolling window of the latest values
+class RollingWindow {
+    constructor(size) {
+        this.size = size;
+        this.values = [];
+    }
+
+    push(value) {
+        this.values.push(value);
+        if (this.values.length > this.size) this.values.shift();
+    }
+
+    stats() {
+        const n = this.values.length;
+        if (!n) return { count: 0, mean: null, min: null, p50: null, p95: null, p99: null, max: null };
+        const sorted = [...this.values].sort((a, b) => a - b);
+        const pick = (q) => sorted[Math.min(n - 1, Math.floor(q * n))];
+        return {
+            count: n,
+            mean: sorted.reduce((sum, v) => sum + v, 0) / n,
+            min: sorted[0],
+            p50: pick(0.5),
+            p95: pick(0.95),
+            p99: pick(0.99),
+            max: sorted[n - 1]
+        };
+    }
+}
+
+export class LatencyMonitor {
+    constructor({ windowSize = 300 } = {}) {
+        this.windowSize = windowSize;
+        this.context = {}; // settings worth comparing across reports (see setContext)
+        this.overlay = null;
+        this._lastOverlayUpdate = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.stages = Object.fromEntries(LATENCY_STAGES.map(name => [name, new RollingWindow(this.windowSize)]));
+        this.confidence = new RollingWindow(this.windowSize);
+        this.resultTimes = []; // result timestamps of the last second, for tracking FPS
+        this.frames = { sent: 0, dropped: 0, skipped: 0, results: 0, withHands: 0 };
+        this.pending = null; // latest sample waiting for its physics / render stage
+        this.startedAt = performance.now();
+    }
+
+    // Describe the current setup, e.g. { inference: 'worker' } or { filter: 'oneEuro' }
+    setContext(values) {
+        Object.assign(this.context, values);
+    }
+
+    // A camera frame was offered for inference: 'sent', 'dropped' (previous frame still in flight)
+    // or 'skipped' (frame skipping by the tracking governor)
+    recordFrame(outcome) {
+        this.frames[outcome]++;
+    }
+
+    // MediaPipe results for the frame captured at capturedAt and sent at sentAt, processed by filteredAt.
+    // confidence is the lowest handedness score (null when no hands were found).
+    recordResult({ capturedAt, sentAt = null, resultAt, filteredAt, confidence = null }) {
+        this.frames.results++;
+        this.resultTimes.push(resultAt);
+        while (this.resultTimes.length && resultAt - this.resultTimes[0] > 1000) this.resultTimes.shift();
+        if (capturedAt == null) return;
+        if (sentAt != null) this.stages.send.push(sentAt - capturedAt);
+        this.stages.result.push(resultAt - capturedAt);
+        this.stages.filtered.push(filteredAt - capturedAt);
+        if (confidence == null) return;
+        this.frames.withHands++;
+        this.confidence.push(confidence);
+        // Only samples with hands move the car, so only they are followed into physics / render
+        this.pending = { capturedAt, physicsAt: null };
+    }
+
+    // Called once per physics tick, after input has been applied
+    recordPhysicsTick(time = performance.now()) {
+        const p = this.pending;
+        if (!p || p.physicsAt != null) return;
+        p.physicsAt = time;
+        this.stages.physics.push(time - p.capturedAt);
+    }
+
+    // Called once per rendered game frame
+    recordRender(time = performance.now()) {
+        if (this.overlay && time - this._lastOverlayUpdate > 250) {
+            this._lastOverlayUpdate = time;
+            this._renderOverlay();
+        }
+        const p = this.pending;
+        if (!p || p.physicsAt == null) return;
+        this.pending = null;
+        this.stages.render.push(time - p.capturedAt);
+    }
+
+    getTrackingFps() {
+        return this.resultTimes.length;
+    }
+
+    report() {
+        const offered = this.frames.sent + this.frames.dropped;
+        const { deviceId, width, height, frameRate } = cameraSource.settings;
+        return {
+            createdAt: new Date().toISOString(),
+            durationMs: Math.round(performance.now() - this.startedAt),
+            userAgent: navigator.userAgent,
+            hardwareConcurrency: navigator.hardwareConcurrency || null,
+            camera: { deviceId, width, height, frameRate },
+            trackingTier: trackingGovernor.tier.name,
+            context: { ...this.context },
+            latencyMs: Object.fromEntries(LATENCY_STAGES.map(name => [name, this.stages[name].stats()])),
+            trackingFps: this.getTrackingFps(),
+            frames: { ...this.frames, dropRate: offered ? this.frames.dropped / offered : 0 },
+            confidence: this.confidence.stats()
+        };
+    }
+
+    exportReport() {
+        const report = this.report();
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `latency-report-${report.createdAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+        return report;
+    }
+
+    toggleOverlay(show = !this.overlay) {
+        if (show && !this.overlay) {
+            const el = document.createElement('div');
+            el.style.position = 'fixed';
+            el.style.left = '10px';
+            el.style.top = '80px';
+            el.style.zIndex = '50';
+            el.style.padding = '6px 8px';
+            el.style.fontFamily = 'monospace';
+            el.style.fontSize = '12px';
+            el.style.background = 'rgba(0,0,0,0.6)';
+            el.style.color = '#0ff';
+            const text = document.createElement('div');
+            text.style.whiteSpace = 'pre';
+            el.appendChild(text);
+            const actions = document.createElement('div');
+            actions.style.marginTop = '4px';
+            const exportBtn = document.createElement('button');
+            exportBtn.textContent = 'Export JSON';
+            exportBtn.addEventListener('click', () => this.exportReport());
+            const resetBtn = document.createElement('button');
+            resetBtn.textContent = 'Reset';
+            resetBtn.addEventListener('click', () => this.reset());
+            actions.append(exportBtn, resetBtn);
+            el.appendChild(actions);
+            document.body.appendChild(el);
+            this.overlay = el;
+            this.overlayText = text;
+            this._renderOverlay();
+        } else if (!show && this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+            this.overlayText = null;
+        }
+    }
+
+    _renderOverlay() {
+        const fmt = (v) => v == null ? '--' : v.toFixed(0).padStart(4);
+        const lines = ['Latency from capture (ms)'.padEnd(26) + ' p50  p95  p99'];
+        for (const name of LATENCY_STAGES) {
+            const s = this.stages[name].stats();
+            lines.push(`  ${name.padEnd(24)}${fmt(s.p50)} ${fmt(s.p95)} ${fmt(s.p99)}`);
+        }
+        const f = this.frames;
+        const offered = f.sent + f.dropped;
+        const dropPct = offered ? (100 * f.dropped / offered).toFixed(1) : '0.0';
+        const conf = this.confidence.stats();
+        lines.push(`Tracking: ${this.getTrackingFps()} fps, dropped ${f.dropped} (${dropPct}%), skipped ${f.skipped}`);
+        lines.push(`Hands in ${f.withHands}/${f.results} results, confidence ${conf.mean == null ? '--' : conf.mean.toFixed(2)} (min ${conf.min == null ? '--' : conf.min.toFixed(2)})`);
+        this.overlayText.textContent = lines.join('\n');
+    }
+}
+
+export const latencyMonitor = new LatencyMonitor();
@@ -1,12 +1,32 @@
 // main.js
 import { WorldManager } from './worldgen.js';
 import { PhysicsManager } from './physics.js';
-import { getLatestThumbCount } from './camera.js';
+import { handTracker, onGesture } from './camera.js';
+import { GESTURE_BINDINGS } from './gestures.js';
 import { audio } from './audio.js';
+import { inputManager } from './input.js';
+import { GamepadInputProvider } from './gamepad.js';
+import { trackingGovernor } from './trackinggovernor.js';
+import { latencyMonitor } from './latency.js';
+import { cameraSource, CAMERA_MODES } from './camerasource.js';
+import { FaceInputProvider, faceTracker, DEFAULT_FACE_INPUT } from './facetracking.js';
+import { CalibrationWizard, listHandProfiles, getActiveHandProfile, setActiveHandProfile } from './calibration.js';
+import { VEHICLE_CLASSES, getSelectedVehicleIds, setSelectedVehicleId, getVehicleRatings } from './vehicles.js';
 import { inject } from '@vercel/analytics';
 
 inject(); // Initialize Vercel Analytics
 
+inputManager.register('gamepad', new GamepadInputProvider());
+inputManager.register('face', new FaceInputProvider());
+
+// Allow ?input=<name> to pick the control scheme on load. 'hand' is only registered by PhysicsManager,
+// so a name not known yet is applied (or warned about by use()) in the first Game.init.
+let requestedInput = new URLSearchParams(window.location.search).get('input');
+if (requestedInput && inputManager.get(requestedInput)) {
+    inputManager.use(requestedInput);
+    requestedInput = null;
+}
+
 class Game {
     constructor() {
         this.worldManager = null;
@@ -14,14 +34,47 @@ class Game {
         this.car = null;
         this.player = null;
         this.isInitialized = false;
+        this.playerCount = 1; // 2 = local versus, split screen (see setupVersusMode)
+        this.vehicleIds = getSelectedVehicleIds(); // vehicle class per player (see setupVehicleSelect)
         this.lastTime = performance.now();
+        this.cameraPaused = false; // paused because the camera dropped out
+
+        // One Game per page, so this subscription is never released
+        this._offPauseGesture = onGesture(GESTURE_BINDINGS.pause, (event) => {
+            if (event.phase === 'start') this.togglePause();
+        });
+        cameraSource.onStatusChange((status) => this.onCameraStatus(status));
+    }
+
+    togglePause() {
+        if (!this.isInitialized || !this.physicsManager) return;
+        this.cameraPaused = false;
+        const paused = this.physicsManager.togglePause();
+        try { if (paused) audio.stopEngineLoop(); else audio.playEngineLoop(0.4); } catch {}
+    }
+
+    // Pause while the camera is unplugged and resume once it reconnects
+    onCameraStatus(status) {
+        if (!this.isInitialized || !this.physicsManager) return;
+        if (status === 'lost' && !this.physicsManager.paused) {
+            this.togglePause();
+            this.cameraPaused = true;
+        } else if (status === 'live' && this.cameraPaused) {
+            this.togglePause();
+        }
     }
 
     async init() {
         try {
-            this.worldManager = new WorldManager();
+            if (this.worldManager) this.worldManager.dispose();
+            this.worldManager = new WorldManager({ players: this.playerCount });
             this.physicsManager = new PhysicsManager();
-            const { car, player } = await this.physicsManager.init(this.worldManager.getScene());
+            if (requestedInput) {
+                inputManager.use(requestedInput);
+                requestedInput = null;
+            }
+            const { car, player } = await this.physicsManager.init(this.worldManager.getScene(), { players: this.playerCount, vehicle: this.vehicleIds, terrain: this.worldManager.terrain });
+            handTracker.setPlayerCount(this.playerCount);
             this.car = car;
             this.player = player;
             this.isInitialized = true;
@@ -32,33 +85,225 @@ class Game {
         }
     }
 
+    // Ends the run: the loop stops and the world stays frozen behind the end screen
+    end() {
+        if (!this.isInitialized) return;
+        this.isInitialized = false;
+        this.cameraPaused = false;
+        try { audio.stopEngineLoop(); } catch {}
+    }
+
     animate() {
         if (!this.isInitialized) return;
         const now = performance.now();
         const frameDelta = (now - this.lastTime) / 1000;
         this.lastTime = now;
+        trackingGovernor.recordGameFrame(frameDelta * 1000);
         if (this.worldManager.lastRoad.z === 0) {
             this.worldManager.generateNewRoadSegments(0, 0, 0, this.physicsManager);
         }
         this.physicsManager.update(frameDelta);
-        this.worldManager.render(this.player, this.car, this.physicsManager);
+        this.worldManager.render(this.physicsManager.getCars(), this.physicsManager);
+        latencyMonitor.recordRender();
         requestAnimationFrame(() => this.animate());
     }
 }
 
-function pollThumbsUpToStart(game, startScreen, gameScreen) {
-    const thumbCount = getLatestThumbCount();
-    //console.log('Thumb count:', thumbCount);
-    if (startScreen.style.display === 'block' && gameScreen.style.display === 'none') {
-        if (thumbCount > 0) {
-            startScreen.style.display = 'none';
-            gameScreen.style.display = 'block';
-            try { audio.stopMenu(); audio.playStartup(1.0); audio.playEngineLoop(0.5); } catch {}
-            game.init();
+function setupCameraBar() {
+    const deviceSelect = document.getElementById('camera-select');
+    const modeSelect = document.getElementById('camera-mode');
+    if (!deviceSelect || !modeSelect) return;
+
+    const fillDevices = (devices) => {
+        const settings = cameraSource.settings;
+        deviceSelect.innerHTML = '';
+        deviceSelect.appendChild(new Option('Default camera', ''));
+        devices.forEach((device, i) => {
+            deviceSelect.appendChild(new Option(device.label || `Camera ${i + 1}`, device.deviceId));
+        });
+        const known = devices.some(d => d.deviceId === settings.deviceId);
+        deviceSelect.value = known ? settings.deviceId : '';
+    };
+
+    CAMERA_MODES.forEach((mode, i) => modeSelect.appendChild(new Option(mode.label, String(i))));
+    const { width, height, frameRate } = cameraSource.settings;
+    const current = CAMERA_MODES.findIndex(m => m.width === width && m.height === height && m.frameRate === frameRate);
+    modeSelect.value = String(Math.max(0, current));
+
+    deviceSelect.addEventListener('change', () => cameraSource.select({ deviceId: deviceSelect.value || null }));
+    modeSelect.addEventListener('change', () => {
+        const { width, height, frameRate } = CAMERA_MODES[Number(modeSelect.value)];
+        cameraSource.select({ width, height, frameRate });
+    });
+    // Labels only become available once permission is granted, so refill when devices change
+    cameraSource.onDevicesChange(fillDevices);
+    cameraSource.listDevices().then(fillDevices).catch(() => {});
+}
+
+// Hands-free mode: head steering via Face Mesh, started by holding the mouth open
+function setupFaceMode(onStart) {
+    const button = document.getElementById('face-mode-button');
+    const face = inputManager.get('face');
+    const refresh = () => {
+        if (!button) return;
+        button.textContent = inputManager.getActiveName() === 'face'
+            ? 'Head steering ON - hold mouth open to start'
+            : 'Hands-free: head steering';
+    };
+    const sync = (name) => {
+        // Face Mesh only runs while face input is selected
+        if (name === 'face') {
+            faceTracker.start();
+            face.recenter();
         } else {
-            setTimeout(() => pollThumbsUpToStart(game, startScreen, gameScreen), 1000);
+            faceTracker.stop();
         }
+        refresh();
+    };
+
+    if (button) {
+        button.addEventListener('click', () => {
+            inputManager.use(inputManager.getActiveName() === 'face' ? 'auto' : 'face');
+        });
     }
+    inputManager.onChange(sync);
+
+    let openSince = null;
+    faceTracker.onUpdate((m) => {
+        if (inputManager.getActiveName() !== 'face') return;
+        if (m.mouth < DEFAULT_FACE_INPUT.mouthOpen * 0.8) {
+            openSince = null;
+            return;
+        }
+        if (openSince == null) openSince = m.timestamp;
+        if (m.timestamp - openSince >= DEFAULT_FACE_INPUT.startHoldMs) {
+            openSince = null;
+            onStart();
+        }
+    });
+    if (inputManager.getActiveName() === 'face') sync('face');
+    else refresh();
+}
+
+// Local versus: two players share the webcam (left / right half of the frame) and the screen
+function setupVersusMode(game, onChange) {
+    const button = document.getElementById('versus-button');
+    if (!button) return;
+    const refresh = () => {
+        button.textContent = game.playerCount === 2 ? 'Versus: 2 players' : 'Versus: off';
+    };
+    button.addEventListener('click', () => {
+        game.playerCount = game.playerCount === 2 ? 1 : 2;
+        // Track four hands right away so both players can be seen before the start
+        handTracker.setPlayerCount(game.playerCount);
+        refresh();
+        if (onChange) onChange();
+    });
+    refresh();
+}
+
+// Vehicle selection on the start screen: one card per class in vehicles.json. In versus the
+// P1 / P2 tabs pick whose car a click selects.
+function setupVehicleSelect(game) {
+    const bar = document.getElementById('vehicle-bar');
+    if (!bar) return () => {};
+    let editing = 0;
+
+    const tabs = document.createElement('div');
+    tabs.className = 'vehicle-tabs';
+    const tabButtons = [0, 1].map(i => {
+        const tab = document.createElement('button');
+        tab.textContent = `P${i + 1}`;
+        tab.addEventListener('click', () => { editing = i; refresh(); });
+        tabs.appendChild(tab);
+        return tab;
+    });
+    const cards = document.createElement('div');
+    cards.className = 'vehicle-cards';
+    bar.append(tabs, cards);
+
+    const cardEls = VEHICLE_CLASSES.map(cls => {
+        const card = document.createElement('button');
+        card.className = 'vehicle-card';
+        const swatch = document.createElement('span');
+        swatch.className = 'vehicle-swatch';
+        swatch.style.background = cls.visual.color;
+        const name = document.createElement('div');
+        name.className = 'vehicle-name';
+        name.append(swatch, cls.name);
+        const description = document.createElement('div');
+        description.className = 'vehicle-description';
+        description.textContent = cls.description;
+        card.append(name, description);
+        for (const [stat, value] of Object.entries(getVehicleRatings(cls))) {
+            const row = document.createElement('div');
+            row.className = 'vehicle-stat';
+            const label = document.createElement('span');
+            label.textContent = stat;
+            const meter = document.createElement('span');
+            meter.className = 'vehicle-meter';
+            const fill = document.createElement('span');
+            fill.style.width = `${Math.round(value * 100)}%`;
+            meter.appendChild(fill);
+            row.append(label, meter);
+            card.appendChild(row);
+        }
+        card.addEventListener('click', () => {
+            game.vehicleIds[editing] = cls.id;
+            setSelectedVehicleId(editing, cls.id);
+            refresh();
+        });
+        cards.appendChild(card);
+        return card;
+    });
+
+    const refresh = () => {
+        if (editing >= game.playerCount) editing = 0;
+        tabs.style.display = game.playerCount > 1 ? 'flex' : 'none';
+        tabButtons.forEach((tab, i) => tab.classList.toggle('active', i === editing));
+        cardEls.forEach((card, i) => card.classList.toggle('selected', VEHICLE_CLASSES[i].id === game.vehicleIds[editing]));
+    };
+    refresh();
+    return refresh;
+}
+
+// Double thumbs-up on the start screen starts the game (HandTracker 'gesture' events)
+function startOnThumbsUp(onStart) {
+    const onGestureEvent = (event) => {
+        const { gesture, phase } = event.detail;
+        if (gesture !== GESTURE_BINDINGS.start || phase !== 'start') return;
+        handTracker.removeEventListener('gesture', onGestureEvent);
+        onStart();
+    };
+    handTracker.addEventListener('gesture', onGestureEvent);
+}
+
+function setupProfileBar() {
+    const select = document.getElementById('profile-select');
+    const calibrateBtn = document.getElementById('calibrate-button');
+    if (!select || !calibrateBtn) return;
+
+    const refresh = () => {
+        const active = getActiveHandProfile();
+        select.innerHTML = '';
+        select.appendChild(new Option('Default hand ranges', ''));
+        for (const profile of listHandProfiles()) {
+            select.appendChild(new Option(profile.name, profile.name, false, active?.name === profile.name));
+        }
+        select.value = active ? active.name : '';
+    };
+
+    select.addEventListener('change', () => setActiveHandProfile(select.value || null));
+    calibrateBtn.addEventListener('click', async () => {
+        calibrateBtn.disabled = true;
+        try {
+            await new CalibrationWizard().run(getActiveHandProfile()?.name || 'Player 1');
+        } finally {
+            calibrateBtn.disabled = false;
+            refresh();
+        }
+    });
+    refresh();
 }
 
 window.addEventListener('DOMContentLoaded', () => {
@@ -69,18 +314,14 @@ window.addEventListener('DOMContentLoaded', () => {
     const restartBtn = document.getElementById('restart-button');
     const startingVid = document.getElementById('startingvid');
 
-    // Show camera feed in #startingvid
+    // Show camera feed in #startingvid (same stream the hand tracker uses)
     if (startingVid) {
         startingVid.autoplay = true;
         startingVid.muted = true;
         startingVid.playsInline = true;
-        navigator.mediaDevices.getUserMedia({ video: true, audio: false })
-            .then(stream => {
-                startingVid.srcObject = stream;
-            })
-            .catch(err => {
-                console.error('Camera access error:', err);
-            });
+        cameraSource.attach(startingVid).catch(err => {
+            console.error('Camera access error:', err);
+        });
     }
 
     startScreen.style.display = 'block';
@@ -88,8 +329,50 @@ window.addEventListener('DOMContentLoaded', () => {
     endScreen.style.display = 'none';
 
     const game = new Game();
+    setupProfileBar();
+    setupCameraBar();
+    setupVersusMode(game, setupVehicleSelect(game));
+    const startHandsFree = (beforeInit) => {
+        if (startScreen.style.display !== 'block' || gameScreen.style.display !== 'none') return;
+        startScreen.style.display = 'none';
+        gameScreen.style.display = 'block';
+        try { audio.stopMenu(); audio.playStartup(1.0); audio.playEngineLoop(0.5); } catch {}
+        if (startingVid) cameraSource.detach(startingVid);
+        if (beforeInit) beforeInit();
+        game.init();
+    };
+    setupFaceMode(() => startHandsFree(() => inputManager.get('face').recenter()));
+    startOnThumbsUp(() => startHandsFree());
 
-    pollThumbsUpToStart(game, startScreen, gameScreen);
+    handTracker.addEventListener('error', (event) => console.warn('[Hands]', event.detail.message));
+    handTracker.start();
+
+    // Game over: hand tracking lets go of the camera and the worker until Restart
+    const endGame = () => {
+        if (!game.isInitialized) return;
+        game.end();
+        handTracker.stop();
+        gameScreen.style.display = 'none';
+        endScreen.style.display = 'block';
+    };
+    if (new URLSearchParams(window.location.search).get('debug') === '1') trackingGovernor.toggleOverlay(true);
+    if (new URLSearchParams(window.location.search).get('latency') === '1') latencyMonitor.toggleOverlay(true);
+
+    // Cycle control schemes at runtime (auto -> keyboard -> gamepad -> hand -> ...), Escape ends the run
+    window.addEventListener('keydown', (event) => {
+        if (event.code === 'Escape') {
+            endGame();
+        } else if (event.code === 'KeyI') {
+            const name = inputManager.cycle();
+            console.info('[Input] Active provider:', name);
+        } else if (event.code === 'KeyP' && !event.altKey) {
+            game.togglePause();
+        } else if (event.code === 'Backquote') {
+            trackingGovernor.toggleOverlay();
+        } else if (event.code === 'KeyL' && !event.altKey) {
+            latencyMonitor.toggleOverlay();
+        }
+    });
     // Start menu music immediately (best-effort autoplay) and preload SFX
     try { audio.playMenuAuto(0.5); audio.preloadSfx(); } catch {}
 
@@ -97,6 +380,7 @@ window.addEventListener('DOMContentLoaded', () => {
         startBtn.addEventListener('click', () => {
             startScreen.style.display = 'none';
             gameScreen.style.display = 'block';
+            if (startingVid) cameraSource.detach(startingVid);
             try { audio.stopMenu(); audio.playStartup(0.9); audio.playEngineLoop(0.4); } catch {}
             game.init();
         });
@@ -107,6 +391,7 @@ window.addEventListener('DOMContentLoaded', () => {
             endScreen.style.display = 'none';
             gameScreen.style.display = 'block';
             try { audio.stopMenu(); audio.playStartup(0.9); audio.playEngineLoop(0.4); } catch {}
+            handTracker.start();
             game.init();
         });
     }
@@ -1,16 +1,33 @@
 // physics-manager.js - Handles physics simulation, collisions, and input processing
 import * as THREE from 'three';
 import { Car } from './playerobject.js';
-import { getLatestHandData } from './camera.js';
+import { inputManager, HandInputProvider, createControlFrame } from './input.js';
+import { getActiveHandProfile, applyHandProfile } from './calibration.js';
+import { resolveResponse } from './responsecurves.js';
+import { getLatestHandData, setHandFilter, getSteeringInversion } from './camera.js';
 import { audio } from './audio.js';
+import { latencyMonitor } from './latency.js';
+import { ColliderRegistry, ENTITY } from './colliders.js';
+import { getVehicleClass } from './vehicles.js';
+import { StuntTracker } from './stunts.js';
+
+// Versus mode: player i starts at PLAYER_SPAWNS[i] in a car of PLAYER_COLORS[i]
+const PLAYER_SPAWNS = [{ x: -3, z: 0 }, { x: 3, z: 0 }];
+const PLAYER_COLORS = [0xff4444, 0x3399ff];
+
+// NPC bodies ride at car height above the terrain so real contacts happen; the mesh sits lower than the box center
+const NPC_BODY_Y = 0.5;
+const NPC_VISUAL_Y_OFFSET = -0.18;
 
 export class PhysicsManager {
     constructor() {
         this.RAPIER = null;
         this.world = null;
         this.eventQueue = null;
-        this.car = null;
+        this.car = null; // player 0's car (the only one in solo play)
         this.player = null;
+        this.cars = []; // one per player; index = player number
+        this.playerInputs = []; // control source per player: inputManager for player 0, a HandInputProvider after that
         this.obstacleBody = null;
         this.obstacleMesh = null;
 
@@ -19,17 +36,80 @@ export class PhysicsManager {
         this.npcCarBodies = new Map(); // Map of NPC car objects to their physics bodies
         this.launchedNpcCars = new Set(); // Track which NPCs have been launched
         this.carHitCallback = null; // Callback function for when player hits a car
+        this.stuntCallback = null; // (playerIndex, stunt) when a car lands a jump (see stunts.js)
+        this.stuntTrackers = []; // one per car
+
+        // Collider handle -> entity, so contact events can tell what hit what (colliders.js)
+        this.colliders = new ColliderRegistry();
+        this.CONTACTS = {
+            launchReferenceSpeed: 20, // relative impact speed (m/s) for a full-strength NPC launch
+            minLaunchStrength: 0.3,
+            maxLaunchStrength: 1.5
+        };
 
         // Input handling
         this.HAND_INPUT = {
             maxThetaDeg: 90,
             maxR: 400,
-            smoothing: 0.18,
+            // Filtering of the tracked hands (filters.js); ?filter=kalman|exponential|none overrides the type
+            filter: {
+                type: new URLSearchParams(window.location.search).get('filter') || 'oneEuro',
+                oneEuro: { minCutoff: 1.5, beta: 4.0, dCutoff: 1.0 },
+                kalman: { processNoise: 2.0, measurementNoise: 0.00005 }
+            },
             minRForThrottle: 0,
-            invertSteering: true
+            neutralThetaDeg: 0,
+            invertSteering: true, // kept in sync with the camera orientation, see processInput
+            // Two-hand throttle from 'spread' (distance between the hands, minRForThrottle..maxR) or
+            // 'depth' (push the hands toward the camera to accelerate, pull back to brake).
+            // ?throttle=depth selects it from the URL.
+            throttleModel: new URLSearchParams(window.location.search).get('throttle') || 'spread',
+            neutralDepth: null, // resting palm size; null = learned over the first depth.learnMs of tracking
+            // Dead zone / curve / saturation for steering and throttle; profiles may override
+            response: resolveResponse(),
+            depth: {
+                pushRange: 0.35, // palm size growth (fraction of neutral) for full throttle
+                pullRange: 0.25, // palm size shrink for full brake
+                deadzone: 0.05,
+                learnMs: 1500
+            },
+            // Single visible hand: steering from 'roll' or 'position', throttle from 'openness', 'height'
+            // or 'depth' (as above)
+            oneHand: {
+                steering: 'roll',
+                throttle: 'openness',
+                maxRollDeg: 45,
+                positionRange: 0.25, // palm x offset from center (normalized) for full lock
+                minOpenness: 0.15,
+                lowY: 0.8,           // palm y (normalized) for zero / full throttle in 'height' mode
+                highY: 0.3,
+                handoverSeconds: 0.35
+            }
         };
-        this.filteredTheta = null;
-        this.filteredR = null;
+        // Calibration profiles (calibration.js) override these ranges while active
+        this.HAND_INPUT_DEFAULTS = { ...this.HAND_INPUT };
+        this.handProfile = undefined;
+        this.input = inputManager;
+        this.input.register('hand', new HandInputProvider(this.HAND_INPUT, () => this.car ? this.car.velocity.length() : 0));
+        setHandFilter(this.HAND_INPUT.filter);
+        latencyMonitor.setContext({ filter: this.HAND_INPUT.filter.type, throttleModel: this.HAND_INPUT.throttleModel });
+
+        // Pause (gesture / keyboard); simulation and input are frozen while set
+        this.paused = false;
+
+        // Fail-safe when hand tracking is lost: coast, then brake, then auto-pause.
+        // Times are measured from the last fresh hand sample.
+        this.FAILSAFE = {
+            enabled: true,
+            coastAfterMs: 250,
+            brakeAfterMs: 1000,
+            pauseAfterMs: 4000,
+            minConfidence: 0.5 // samples below this handedness score are ignored (coast)
+        };
+        this.failSafeStage = null; // null | 'coast' | 'brake' | 'pause' (player 0)
+        this.failSafeStages = []; // per player
+        this.autoPaused = false;
+        this.failSafeArmed = []; // per player; disarmed by a manual unpause until that player's hands are seen again
 
         // Physics timestep
         this.FIXED_TIMESTEP = 1 / 60;
@@ -37,7 +117,10 @@ export class PhysicsManager {
         this.lastTime = performance.now();
     }
 
-    async init(scene) {
+    // players: 1 for solo play, 2 for local versus (both cars share this world)
+    // vehicle: vehicle class id (vehicles.json) for every car, or an array with one id per player
+    // terrain: the world's Terrain (terrain.js); its chunks arrive through addTerrainChunk as the road is generated
+    async init(scene, { players = 1, vehicle, terrain = null } = {}) {
         this.RAPIER = await import('https://cdn.skypack.dev/@dimforge/rapier3d-compat');
         await this.RAPIER.init();
 
@@ -45,13 +128,33 @@ export class PhysicsManager {
         this.world = new this.RAPIER.World(gravity);
         this.eventQueue = new this.RAPIER.EventQueue(true);
 
-        // No ground rigid body/collider
-        this.car = new Car(scene, this.world, this.RAPIER);
+        this.terrain = terrain;
+
+        const vehicleFor = (i) => getVehicleClass(Array.isArray(vehicle) ? vehicle[i] : vehicle);
+        if (players > 1) {
+            for (let i = 0; i < players; i++) {
+                this.cars.push(new Car(scene, this.world, this.RAPIER, { vehicle: vehicleFor(i), spawn: PLAYER_SPAWNS[i], color: PLAYER_COLORS[i], colliders: this.colliders }));
+            }
+        } else {
+            this.cars.push(new Car(scene, this.world, this.RAPIER, { vehicle: vehicleFor(0), colliders: this.colliders }));
+        }
+        this.cars.forEach((car, i) => this.colliders.register(car.collider, ENTITY.PLAYER, car, { playerIndex: i }));
+        this.stuntTrackers = this.cars.map(() => new StuntTracker());
+        this.failSafeArmed = this.cars.map(() => true);
+        this.car = this.cars[0];
         this.player = this.car.carGroup;
 
+        // Player 0 drives with the active input scheme; the others with their half of the camera frame
+        this.playerInputs = this.cars.map((car, i) => i === 0
+            ? this.input
+            : new HandInputProvider(this.HAND_INPUT, () => car.velocity.length(), { player: i, useGestures: false }));
+        const handProvider = this.input.get('hand');
+        if (handProvider) handProvider.useGestures = players === 1;
+
         return {
             car: this.car,
-            player: this.player
+            player: this.player,
+            cars: this.cars
         };
     }
 
@@ -84,6 +187,7 @@ export class PhysicsManager {
             .setFriction(0.8);
 
         const collider = this.world.createCollider(colliderDesc, rigidBody);
+        this.colliders.register(collider, ENTITY.NPC, npcCar);
 
         // Store the body reference
         npcCar.body = rigidBody;
@@ -107,6 +211,7 @@ export class PhysicsManager {
         }
 
         // Remove from physics world
+        this.colliders.unregisterBody(body);
         this.world.removeRigidBody(body);
     }
 
@@ -116,7 +221,7 @@ export class PhysicsManager {
         // If car has been launched, switch to dynamic mode and let physics handle it
         if (this.launchedNpcCars.has(npcCar)) {
             const currentPos = npcCar.body.translation();
-            npcCar.mesh.position.set(currentPos.x, currentPos.y, currentPos.z);
+            npcCar.mesh.position.set(currentPos.x, currentPos.y + NPC_VISUAL_Y_OFFSET, currentPos.z);
             const currentRot = npcCar.body.rotation();
             npcCar.mesh.quaternion.set(currentRot.x, currentRot.y, currentRot.z, currentRot.w);
             return;
@@ -133,13 +238,10 @@ export class PhysicsManager {
         const lateralDrift = Math.sin(performance.now() * 0.001 + npcCar.spawnZ) * 0.5 * deltaTime;
         const newX = currentPos.x + lateralDrift;
 
-        // Keep Y at proper height
-        const physicsY = 2.0;
-
-// Update position using kinematic body
+        // Update position using kinematic body
         body.setNextKinematicTranslation({
             x: newX,
-            y: physicsY,
+            y: this.getGroundHeight(newX, newZ) + NPC_BODY_Y,
             z: newZ
         });
 
@@ -157,8 +259,7 @@ export class PhysicsManager {
 
         // Update mesh to match physics body
         const finalPos = body.translation();
-        const visualYOffset = -1.68;
-        npcCar.mesh.position.set(finalPos.x, finalPos.y + visualYOffset, finalPos.z);
+        npcCar.mesh.position.set(finalPos.x, finalPos.y + NPC_VISUAL_Y_OFFSET, finalPos.z);
         const finalRot = body.rotation();
         npcCar.mesh.quaternion.set(finalRot.x, finalRot.y, finalRot.z, finalRot.w);
     }
@@ -168,43 +269,37 @@ export class PhysicsManager {
         this.npcCars = npcCars;
     }
 
-    // Set callback function for when player hits a car
+    // Set callback function for when player hits a car: callback(playerIndex, strength)
     setCarHitCallback(callback) {
         this.carHitCallback = callback;
     }
 
-    // Launch NPC car using Manhattan distance collision detection
-    checkNpcCollisions() {
-        if (!this.car || !this.npcCars.length) return;
-
-        const playerPos = this.car.position;
-        const collisionDistance = 4.0; // Manhattan distance threshold
-
-        for (const npcCar of this.npcCars) {
-            // Skip if already launched or no mesh
-            if (this.launchedNpcCars.has(npcCar) || !npcCar.mesh) continue;
+    setStuntCallback(callback) {
+        this.stuntCallback = callback;
+    }
 
-            const npcPos = npcCar.mesh.position;
+    // A player car touched a driving NPC: launch it, scaled by the impact speed, and score the hit
+    onNpcContact(playerIndex, npcCar) {
+        const car = this.cars[playerIndex];
+        if (!car || car.exploded || this.launchedNpcCars.has(npcCar)) return;
 
-            // Calculate Manhattan distance
-            const manhattanDistance = Math.abs(playerPos.x - npcPos.x) +
-                Math.abs(playerPos.y - npcPos.y) +
-                Math.abs(playerPos.z - npcPos.z);
+        // NPCs drive in -Z at npcCar.speed; impact strength comes from the closing velocity
+        const relative = car.velocity.clone().sub(new THREE.Vector3(0, 0, -npcCar.speed));
+        const c = this.CONTACTS;
+        const strength = THREE.MathUtils.clamp(relative.length() / c.launchReferenceSpeed, c.minLaunchStrength, c.maxLaunchStrength);
 
-            if (manhattanDistance < collisionDistance) {
-                // Play pew just before we modify physics to minimize perceived latency
-                try { audio.playPew(0.85); } catch {}
-                this.launchNpcCar(npcCar);
+        // Play pew just before we modify physics to minimize perceived latency
+        try { audio.playPew(0.85); } catch {}
+        this.launchNpcCar(npcCar, { strength, direction: relative });
 
-                // Call the car hit callback to update score and show popup
-                if (this.carHitCallback) {
-                    this.carHitCallback();
-                }
-            }
+        // Call the car hit callback to update score and show popup
+        if (this.carHitCallback) {
+            this.carHitCallback(playerIndex, strength);
         }
     }
 
-    launchNpcCar(npcCar) {
+    // strength scales the launch (1 = classic launch); direction pushes the NPC the way it was hit
+    launchNpcCar(npcCar, { strength = 1, direction = null } = {}) {
         if (!npcCar || !npcCar.body || this.launchedNpcCars.has(npcCar)) return;
 
         //console.log('[NPC Physics] Launching NPC car!');
@@ -218,6 +313,7 @@ export class PhysicsManager {
 
         // Remove old body
         this.npcCarBodies.delete(npcCar);
+        this.colliders.unregisterBody(npcCar.body);
         this.world.removeRigidBody(npcCar.body);
 
         // Create new dynamic body
@@ -233,17 +329,18 @@ export class PhysicsManager {
             .setFriction(0.7)
             .setDensity(1.0);
 
-        this.world.createCollider(colliderDesc, newBody);
+        this.colliders.register(this.world.createCollider(colliderDesc, newBody), ENTITY.NPC, npcCar);
 
         // Update tracking
         npcCar.body = newBody;
         this.npcCarBodies.set(npcCar, newBody);
 
-        // Launch the NPC car high into the air with random velocity
+        // Launch the NPC car into the air, away from whatever hit it, with some randomness
+        const push = direction ? direction.clone().setY(0).normalize().multiplyScalar(25) : { x: 0, z: 0 };
         const launchForce = {
-            x: (Math.random() - 0.5) * 50, // Random horizontal force
-            y: 40 + Math.random() * 30,    // High upward force (40-70)
-            z: (Math.random() - 0.5) * 50  // Random horizontal force
+            x: (push.x + (Math.random() - 0.5) * 30) * strength,
+            y: (40 + Math.random() * 30) * strength, // upward force (40-70 at strength 1)
+            z: (push.z + (Math.random() - 0.5) * 30) * strength
         };
 
         newBody.setLinvel(launchForce, true);
@@ -268,78 +365,191 @@ export class PhysicsManager {
         const rigidBody = this.world.createRigidBody(rigidBodyDesc);
         const colliderDesc = this.RAPIER.ColliderDesc.cuboid(thickness / 2, height / 2, length / 2);
 
-        // Properly set rotation using quaternion
-        const direction = end.clone().sub(start);
-        const angle = Math.atan2(direction.x, direction.z);
+        // Align the box with the segment (yaw, plus pitch on slopes) using a quaternion
+        const direction = end.clone().sub(start).normalize();
         const quat = new THREE.Quaternion();
-        quat.setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        quat.setFromUnitVectors(new THREE.Vector3(0, 0, 1), direction);
         colliderDesc.setRotation({ x: quat.x, y: quat.y, z: quat.z, w: quat.w });
 
-        this.world.createCollider(colliderDesc, rigidBody);
+        this.colliders.register(this.world.createCollider(colliderDesc, rigidBody), ENTITY.FENCE);
+    }
+
+    // Ground for the wheel raycasts, debris and launched NPCs: one heightfield per chunk from Terrain.sampleChunk.
+    // Returns the body, for removeFixedBody once the chunk is left behind.
+    addTerrainChunk({ centerX, centerZ, size, segments, heights }) {
+        const body = this.world.createRigidBody(this.RAPIER.RigidBodyDesc.fixed().setTranslation(centerX, 0, centerZ));
+        const colliderDesc = this.RAPIER.ColliderDesc.heightfield(segments, segments, heights, { x: size, y: 1, z: size })
+            .setFriction(0.9);
+        this.colliders.register(this.world.createCollider(colliderDesc, body), ENTITY.GROUND);
+        return body;
     }
 
-    processInput() {
+    // Remove a static world body (terrain chunk, ramp) and forget its colliders
+    removeFixedBody(body) {
+        if (!body) return;
+        this.colliders.unregisterBody(body);
+        this.world.removeRigidBody(body);
+    }
+
+    // Jump ramp: a convex hull around points (flat x, y, z array) relative to center.
+    // Returns the body (null if the hull is degenerate), for removeFixedBody.
+    addRampCollider(center, points) {
+        const colliderDesc = this.RAPIER.ColliderDesc.convexHull(new Float32Array(points));
+        if (!colliderDesc) return null;
+        colliderDesc.setFriction(0.9);
+        const body = this.world.createRigidBody(this.RAPIER.RigidBodyDesc.fixed().setTranslation(center.x, center.y, center.z));
+        this.colliders.register(this.world.createCollider(colliderDesc, body), ENTITY.RAMP);
+        return body;
+    }
+
+    getGroundHeight(x, z) {
+        return this.terrain ? this.terrain.heightAt(x, z) : 0;
+    }
+
+    // Switch the hand filter, e.g. setHandFilter('kalman', { measurementNoise: 0.0001 })
+    setHandFilter(type, params = {}) {
+        const filter = this.HAND_INPUT.filter;
+        filter.type = type;
+        if (filter[type]) Object.assign(filter[type], params);
+        else filter[type] = { ...params };
+        setHandFilter(filter);
+        latencyMonitor.setContext({ filter: type });
+    }
+
+    processInput(deltaTime) {
         if (!this.car) return;
 
-        const hand = getLatestHandData();
-        if (hand && hand.theta != null && hand.r != null) {
-            if (this.filteredTheta == null) {
-                this.filteredTheta = hand.theta;
-                this.filteredR = hand.r;
-            } else {
-                this.filteredTheta += (hand.theta - this.filteredTheta) * this.HAND_INPUT.smoothing;
-                this.filteredR += (hand.r - this.filteredR) * this.HAND_INPUT.smoothing;
-            }
+        // Pick up calibration changes (profile objects are stable until the active one changes)
+        const profile = getActiveHandProfile();
+        if (profile !== this.handProfile) {
+            this.handProfile = profile;
+            applyHandProfile(profile, this.HAND_INPUT, this.HAND_INPUT_DEFAULTS);
+        }
+        // Mirroring changes (Alt+M, calibration) flip which on-screen tilt means "right"
+        this.HAND_INPUT.invertSteering = getSteeringInversion();
+
+        // Active provider (hand, keyboard, scripted, ...) yields one normalized frame per tick
+        this.cars.forEach((car, i) => {
+            const frame = this.playerInputs[i].poll(deltaTime) || createControlFrame();
+            car.applyControlFrame(this.applyFailSafe(frame, i));
+        });
+        // Hand samples only reach the car through the hand provider (directly or via 'auto')
+        if (this.input.lastSource === 'hand') latencyMonitor.recordPhysicsTick();
+    }
+
+    // How long hand input has been lost (ms), or 0 while it is fresh / not in use
+    getHandsLostMs(playerIndex = 0) {
+        const name = this.input.getActiveName();
+        if (playerIndex === 0 && name !== 'hand' && name !== 'auto') return 0;
+        const hand = getLatestHandData(playerIndex);
+        if (hand.timestamp == null) return 0; // hands never seen: nothing to fail over from
+        if (hand.confidence != null && hand.confidence < this.FAILSAFE.minConfidence) return Math.max(hand.age, this.FAILSAFE.coastAfterMs);
+        return hand.stale ? hand.age : 0;
+    }
+
+    applyFailSafe(frame, playerIndex = 0) {
+        const fs = this.FAILSAFE;
+        const car = this.cars[playerIndex];
+        const lostMs = fs.enabled ? this.getHandsLostMs(playerIndex) : 0;
+        if (lostMs === 0) this.failSafeArmed[playerIndex] = true;
+        if (!this.failSafeArmed[playerIndex]) {
+            this.setFailSafeStage(playerIndex, null);
+            return frame;
+        }
+        // In auto mode another device (keyboard / gamepad) actively driving cancels the fail-safe
+        const otherInput = playerIndex === 0 && this.input.getActiveName() === 'auto' &&
+            (frame.throttle > 0 || frame.brake > 0 || frame.steer !== 0 || frame.handbrake);
+        if (lostMs < fs.coastAfterMs || otherInput) {
+            this.setFailSafeStage(playerIndex, null);
+            return frame;
+        }
 
-            const steeringRaw = this.filteredTheta / this.HAND_INPUT.maxThetaDeg;
-            const steering = Math.max(-1, Math.min(1, (this.HAND_INPUT.invertSteering ? -steeringRaw : steeringRaw)));
+        if (lostMs >= fs.pauseAfterMs) {
+            this.setFailSafeStage(playerIndex, 'pause');
+            this.autoPaused = true;
+            this.setPaused(true);
+            return createControlFrame();
+        }
+        if (lostMs >= fs.brakeAfterMs) {
+            this.setFailSafeStage(playerIndex, 'brake');
+            // Brake only while still rolling forward so it doesn't turn into reverse
+            const forwardSpeed = car.velocity.dot(car.getForwardDirection());
+            return createControlFrame({ brake: forwardSpeed > 0.5 ? 1 : 0 });
+        }
+        this.setFailSafeStage(playerIndex, 'coast');
+        return createControlFrame();
+    }
 
-            let throttleNorm = (this.filteredR - this.HAND_INPUT.minRForThrottle) / (this.HAND_INPUT.maxR - this.HAND_INPUT.minRForThrottle);
-            const throttle = Math.max(0, Math.min(1, throttleNorm));
+    setFailSafeStage(playerIndex, stage) {
+        this.failSafeStages[playerIndex] = stage;
+        if (playerIndex === 0) this.failSafeStage = stage;
+    }
 
-            this.car.setAnalogControls(steering, throttle);
+    // Resume from an automatic fail-safe pause once fresh hand samples arrive again (from every player)
+    checkFailSafeResume() {
+        if (!this.autoPaused) return;
+        if (this.cars.every((car, i) => this.getHandsLostMs(i) === 0)) {
+            this.autoPaused = false;
+            this.cars.forEach((car, i) => this.setFailSafeStage(i, null));
+            this.setPaused(false);
         }
     }
 
+    // Route this step's contact events through the collider registry:
+    //   player + NPC (contact start)          -> launch the NPC and score the hit
+    //   player + anything else (contact force) -> damage from the impact impulse (Car.applyImpact)
     handleCollisions() {
-        if (!this.eventQueue || !this.car) return;
+        if (!this.eventQueue || !this.cars.length) return;
 
         this.eventQueue.drainCollisionEvents((h1, h2, started) => {
             if (!started) return;
-
-            const carHandle = this.car.getColliderHandle();
-            if (carHandle == null) return;
-
-            let other = null;
-            if (h1 === carHandle) {
-                other = h2;
-            } else if (h2 === carHandle) {
-                other = h1;
+            for (const [self, other] of this.getPlayerContacts(h1, h2)) {
+                if (other && other.type === ENTITY.NPC) this.onNpcContact(self.playerIndex, other.entity);
             }
+        });
 
-            if (other == null) return;
-
-            // No groundHandles check needed
-            if (this.car.shouldExplodeFromCollision(other, new Set())) {
-                this.car.explode();
+        this.eventQueue.drainContactForceEvents((event) => {
+            // Contact forces are summed over the step; impulse = force * dt
+            const impulse = event.totalForceMagnitude() * this.FIXED_TIMESTEP;
+            // The reported direction pushes collider2 away from collider1
+            const dir = event.maxForceDirection();
+            for (const [self, other] of this.getPlayerContacts(event.collider1(), event.collider2())) {
+                // Hitting NPCs is the point of the game, never damage
+                if (other && other.type === ENTITY.NPC) continue;
+                const sign = self.handle === event.collider1() ? -1 : 1;
+                self.entity.applyImpact(impulse, { x: dir.x * sign, y: dir.y * sign, z: dir.z * sign });
             }
         });
     }
 
-    checkObstacleCollision() {
-        if (!this.car || this.car.exploded || !this.obstacleMesh) return;
+    // [player entry, other entry] for each player car taking part in a contact between two handles.
+    // other is null for colliders that are not registered.
+    getPlayerContacts(h1, h2) {
+        const a = this.colliders.get(h1);
+        const b = this.colliders.get(h2);
+        const contacts = [];
+        if (a && a.type === ENTITY.PLAYER) contacts.push([a, b]);
+        if (b && b.type === ENTITY.PLAYER) contacts.push([b, a]);
+        return contacts;
+    }
 
-        const dx = this.car.position.x - this.obstacleMesh.position.x;
-        const dy = this.car.position.y - this.obstacleMesh.position.y;
-        const dz = this.car.position.z - this.obstacleMesh.position.z;
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused) this.autoPaused = false;
+        this.physicsTimeAccumulator = 0;
+    }
 
-        if (dx*dx + dy*dy + dz*dz < 4 && this.car.getSpeed() > 1) {
-            this.car.explode();
-        }
+    togglePause() {
+        // A manual unpause overrides the hands-lost fail-safe until hands come back
+        if (this.paused) this.failSafeArmed.fill(false);
+        this.setPaused(!this.paused);
+        return this.paused;
     }
 
     update(frameDelta) {
         if (!this.world || !this.car) return;
+        this.checkFailSafeResume();
+        if (this.paused) return;
 
         // Clamp frame delta to prevent spiral of death
         frameDelta = Math.min(frameDelta, 0.25);
@@ -348,47 +558,54 @@ export class PhysicsManager {
         // Fixed timestep physics updates
         while (this.physicsTimeAccumulator >= this.FIXED_TIMESTEP) {
             // Process input
-            this.processInput();
+            this.processInput(this.FIXED_TIMESTEP);
+            if (this.paused) break;
 
             // Update car physics
-            this.car.update(this.FIXED_TIMESTEP, this.world, this.eventQueue);
-
-            // Check NPC collisions using Manhattan distance
-            this.checkNpcCollisions();
-
-            // Clamp car to y >= 0 and zero downward velocity
-            if (this.car.position.y <= 0) {
-                this.car.position.y = 0;
-                this.car.body.setTranslation({ x: this.car.position.x, y: 0, z: this.car.position.z }, true);
-                const linvel = this.car.body.linvel();
-                if (linvel.y < 0) {
-                    this.car.body.setLinvel({ x: linvel.x, y: 0, z: linvel.z }, true);
-                }
-                // Reset tilt (rotation) to upright
-                const currentRot = this.car.body.rotation();
-                // Only preserve yaw (rotation around y axis)
-                this.car.body.setRotation({ x: 0, y: currentRot.y, z: 0, w: currentRot.w }, true);
-            }
-            if (this.car.position.z > 1) {
-                this.car.position.z = 1;
-                this.car.body.setTranslation({ x: this.car.position.x, y: this.car.position.y, z: 1}, true);
-                const linvel = this.car.body.linvel();
-                if (linvel.z > 0) {
-                    this.car.body.setLinvel({ x: linvel.x, y: linvel.y, z: 0 }, true);
-                }
-            }
+            this.stepCars(this.FIXED_TIMESTEP);
 
+            for (const car of this.cars) this.clampCar(car);
+            this.updateStunts(this.FIXED_TIMESTEP);
 
-            // Handle collisions
+            // NPC hits and crashes, from this step's contact events
             this.handleCollisions();
 
-            // Check obstacle collision (if obstacle exists)
-            this.checkObstacleCollision();
-
             this.physicsTimeAccumulator -= this.FIXED_TIMESTEP;
         }
     }
 
+    // Solo: the car steps the world itself. Versus: apply every car's forces, step once, then sync.
+    stepCars(deltaTime) {
+        if (this.cars.length === 1) {
+            this.car.update(deltaTime, this.world, this.eventQueue);
+            return;
+        }
+        for (const car of this.cars) car.beforeStep(deltaTime);
+        this.world.timestep = deltaTime;
+        this.world.step(this.eventQueue);
+        for (const car of this.cars) car.afterStep(deltaTime);
+    }
+
+    // Airtime, flips and landings of every car
+    updateStunts(deltaTime) {
+        this.cars.forEach((car, i) => {
+            const stunt = this.stuntTrackers[i].update(car, deltaTime);
+            if (stunt && this.stuntCallback) this.stuntCallback(i, stunt);
+        });
+    }
+
+    // Never behind the start line (z <= 1)
+    clampCar(car) {
+        if (car.position.z > 1) {
+            car.position.z = 1;
+            car.body.setTranslation({ x: car.position.x, y: car.position.y, z: 1}, true);
+            const linvel = car.body.linvel();
+            if (linvel.z > 0) {
+                car.body.setLinvel({ x: linvel.x, y: linvel.y, z: 0 }, true);
+            }
+        }
+    }
+
     // Helper methods for external access
     getCar() {
         return this.car;
@@ -398,6 +615,10 @@ export class PhysicsManager {
         return this.player;
     }
 
+    getCars() {
+        return this.cars;
+    }
+
     getWorld() {
         return this.world;
     }
@@ -412,7 +633,7 @@ export class PhysicsManager {
         const obsRBDesc = this.RAPIER.RigidBodyDesc.fixed().setTranslation(0,1,-25);
         this.obstacleBody = this.world.createRigidBody(obsRBDesc);
         const obsCol = this.RAPIER.ColliderDesc.cuboid(obsSize.x,obsSize.y,obsSize.z).setRestitution(0.2).setFriction(0.8);
-        this.world.createCollider(obsCol, this.obstacleBody);
+        this.colliders.register(this.world.createCollider(obsCol, this.obstacleBody), ENTITY.OBSTACLE);
 
         const boxGeo = new THREE.BoxGeometry(obsSize.x*2, obsSize.y*2, obsSize.z*2);
         const boxMat = new THREE.MeshStandardMaterial({color:0xffff00});
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { ENTITY } from './colliders.js';
+import { getVehicleClass } from './vehicles.js';
 
 class Car {
     constructor(scene, world, rapier, params = {}) {
@@ -11,16 +13,21 @@ class Car {
         // Visual orientation state (kept for convenience)
         this.rotation = 0;
 
-        // Car parameters (tunable)
-        this.accelerationForce = 250; // boosted for clearer motion
-        this.brakeForce = 150;
-        this.turnSpeed = 2.5;
-        this.minSteerFactor = 0.25;
-        this.baseGrip = 2.0;
-        this.maxGrip = 7.0;
-        this.driftGripMultiplier = 0.3;
-        this.driftSlipThreshold = 0.25;
-        this.handbrakeYawBoost = 1.2;
+        // Vehicle class (vehicles.js): handling, meshes and smoke
+        this.vehicleClass = params.vehicle || getVehicleClass();
+        this.visual = this.vehicleClass.visual;
+
+        // Start position (x, z) and body color; versus mode spawns the cars side by side
+        this.spawn = { x: 0, z: 0, ...params.spawn };
+        this.color = params.color ?? this.visual.color;
+        // Collider registry (colliders.js) that debris colliders are registered with, if any
+        this.colliders = params.colliders || null;
+
+        // Car parameters (tunable), see vehicles.js for their meaning
+        Object.assign(this, this.vehicleClass.physics);
+        this.spawnHeight = 1.0;
+        this.flipRecoverSeconds = 1.5; // upside down and stopped this long puts the car back on its wheels
+        this._flippedTime = 0;
 
         // Runtime vectors mirrored from physics each frame
         this.position = new THREE.Vector3();
@@ -32,52 +39,36 @@ class Car {
             backward: false,
             left: false,
             right: false,
-            handbrake: false
+            handbrake: false,
+            boost: false,
+            reverse: false // reverse gear: throttle drives backwards
         };
-        // External analog control (overrides keyboard when provided)
+        // Analog control written from the input layer each tick (see applyControlFrame)
         this.analog = {
-            steering: null, // -1..1
-            throttle: null  // 0..1 (positive only for now)
+            steering: null, // -1..1 (positive = yaw left)
+            throttle: null  // -1..1 signed throttle / brake axis (positive = towards the front of the car)
         };
 
         this.createCarMesh();
         this._createPhysicsBody();
-        this.setupControls();
         this.exploded = false;
         this.debris = [];
-        this.explodeOnAnyCollision = true;
-        this.minExplodeSpeed = 0; // m/s threshold before collision can trigger explosion
-
-        // Smoke system (unchanged)
-        this.smokeParams = {
-            enabled: true,
-            baseSpawnInterval: 0.01,
-            minSpeed: 4,
-            slipThreshold: 0.15,
-            particleLife: 0.7,
-            startSize: 0.28,
-            endSize: 1.4,
-            upwardSpeed: 1.1,
-            upwardAccel: 5,
-            lateralDampen: 0.9,
-            fadePower: 1.8,
-            maxParticlesPerCycle: 10,
-            slipToDensity: 18,
-            maxPoolSize: 250,
-            colorVariance: 0.15,
-            sizeJitter: 0.55,
-            spinSpeed: 2.5,
-            stopGrace: 0.08,
-            baseSpread: 0.25,
-            slipSpreadFactor: 0.4,
-            rearWheelOffset: 1.5,
-            lateralWheelOffset: 1.1,
-            lateralJitter: 0.5,
-            longitudinalJitter: 0.4,
-            shapeWobbleAmp: 0.25,
-            shapeWobbleFreqMin: 2.0,
-            shapeWobbleFreqMax: 5.0
+
+        // Damage from contact impulses (see applyImpact); the car explodes at zero health
+        this.damageParams = {
+            maxHealth: this.maxHealth,
+            minImpulse: 25,          // N·s per step below which contacts are harmless (fence scrapes)
+            damagePerImpulse: 0.22,  // health lost per N·s above minImpulse (~30 for 10 m/s into a wall)
+            glancingFactor: 0.3,     // damage multiplier for a hit along the direction of travel's tangent
+            minPerformance: 0.45,    // acceleration / grip multiplier at zero health
+            maxDarken: 0.65,         // body color blend towards charcoal at zero health
+            dentRadius: 1.1,
+            maxDentDepth: 0.35       // per hit, in body mesh units
         };
+        this.health = this.damageParams.maxHealth;
+
+        // Smoke system
+        this.smokeParams = { ...this.vehicleClass.smoke };
         this._smokeTimeAccum = 0;
         this.smokeParticles = [];
         this._smokePool = [];
@@ -95,16 +86,67 @@ class Car {
     _createPhysicsBody() {
         const RAPIER = this.RAPIER;
         const rbDesc = RAPIER.RigidBodyDesc.dynamic()
-            .setTranslation(0, 2, 0)
+            .setTranslation(this.spawn.x, this.spawnHeight, this.spawn.z)
             .setCanSleep(false); // keep always awake while testing movement
         this.body = this.world.createRigidBody(rbDesc);
-        const halfExtents = { x: 1.0, y: 1, z: 2.0 };
-        const colliderDesc = RAPIER.ColliderDesc.cuboid(halfExtents.x, halfExtents.y, halfExtents.z)
+
+        // Chassis box around the body mesh. The center of mass sits at the body origin (wheel hub
+        // height), well below the box center, so hard cornering leans the car instead of rolling it.
+        const he = this.chassisHalfExtents;
+        const m = this.mass;
+        const inertia = {
+            x: m / 3 * (he.y * he.y + he.z * he.z),
+            y: m / 3 * (he.x * he.x + he.z * he.z),
+            z: m / 3 * (he.x * he.x + he.y * he.y)
+        };
+        const colliderDesc = RAPIER.ColliderDesc.cuboid(he.x, he.y, he.z)
+            .setTranslation(0, this.visual.body.height / 2, 0)
+            .setMassProperties(m, { x: 0, y: 0, z: 0 }, inertia, { x: 0, y: 0, z: 0, w: 1 })
             .setFriction(0.9)
-            .setRestitution(0.0);
+            .setRestitution(0.0)
+            // Report contacts (NPC hits) and contact forces (crash strength), see PhysicsManager.handleCollisions
+            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS | RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS)
+            .setContactForceEventThreshold(1000);
         this.collider = this.world.createCollider(colliderDesc, this.body);
         this.body.setLinearDamping(0.15);
         this.body.setAngularDamping(1.0);
+
+        this._createVehicle();
+    }
+
+    // Four raycast wheels at the wheel meshes. The car drives towards -Z, so the pair at z < 0
+    // steers (the meshes named front* sit at the back).
+    _createVehicle() {
+        const s = this.suspension;
+        this.vehicle = this.world.createVehicleController(this.body);
+        this.wheels = [this.rearLeftWheel, this.rearRightWheel, this.frontLeftWheel, this.frontRightWheel].map((mesh, i) => {
+            const front = mesh.position.z < 0;
+            // Suspension hangs from restLength above the hub, so the hub rests at the mesh position
+            const connection = { x: mesh.position.x, y: mesh.position.y + s.restLength, z: mesh.position.z };
+            // Axle +X makes the wheels roll towards -Z
+            this.vehicle.addWheel(connection, { x: 0, y: -1, z: 0 }, { x: 1, y: 0, z: 0 }, s.restLength, this.visual.wheels.radius);
+            this.vehicle.setWheelSuspensionStiffness(i, s.stiffness);
+            this.vehicle.setWheelSuspensionCompression(i, s.compression);
+            this.vehicle.setWheelSuspensionRelaxation(i, s.relaxation);
+            this.vehicle.setWheelMaxSuspensionTravel(i, s.maxTravel);
+            this.vehicle.setWheelMaxSuspensionForce(i, s.maxForce);
+            const axle = front ? 'front' : 'rear';
+            mesh.rotation.order = 'YXZ'; // steer (Y) after spin about the axle (X)
+            return {
+                mesh,
+                front,
+                driven: this.driveWheels === 'all' || this.driveWheels === axle,
+                connectionY: connection.y,
+                frictionSlip: this.frictionSlip[axle],
+                sideFriction: this.sideFriction[axle]
+            };
+        });
+        this.drivenWheelCount = this.wheels.filter(w => w.driven).length;
+    }
+
+    // True while any wheel touches the ground
+    isOnGround() {
+        return this.wheels.some((w, i) => this.vehicle.wheelIsInContact(i));
     }
 
     _initSmokeResources() {
@@ -146,138 +188,79 @@ class Car {
     }
 
     createCarMesh() {
+        const { body, cabin, wheels } = this.visual;
         this.carGroup = new THREE.Group();
-        const bodyGeometry = new THREE.BoxGeometry(2, 0.6, 4);
-        const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0xff4444 });
+        // Subdivided so collision dents (see _dent) have vertices to move
+        const bodyGeometry = new THREE.BoxGeometry(body.width, body.height, body.length, 4, 2, 8);
+        const bodyMaterial = new THREE.MeshLambertMaterial({ color: this.color });
         const bodyMesh = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        bodyMesh.position.y = 0.3;
+        bodyMesh.position.y = body.height / 2;
         bodyMesh.castShadow = true;
         this.carGroup.add(bodyMesh);
+        this.bodyMesh = bodyMesh;
+        this._bodyRestPositions = bodyGeometry.attributes.position.array.slice();
 
-        const windshieldGeometry = new THREE.BoxGeometry(1.8, 0.4, 1.5);
+        const windshieldGeometry = new THREE.BoxGeometry(cabin.width, cabin.height, cabin.length);
         const windshieldMaterial = new THREE.MeshLambertMaterial({
-            color: 0x4444ff,
+            color: cabin.color,
             transparent: true,
-            opacity: 0.7
+            opacity: cabin.opacity
         });
         const windshieldMesh = new THREE.Mesh(windshieldGeometry, windshieldMaterial);
-        windshieldMesh.position.set(0, 0.7, 0.5);
+        windshieldMesh.position.set(0, cabin.y, cabin.z);
         windshieldMesh.castShadow = true;
         this.carGroup.add(windshieldMesh);
 
-        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2, 8);
+        const wheelGeometry = new THREE.CylinderGeometry(wheels.radius, wheels.radius, wheels.width, 8);
         const wheelMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
-
-        this.frontLeftWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        this.frontLeftWheel.position.set(-1.1, 0, 1.2);
-        this.frontLeftWheel.rotation.z = Math.PI / 2;
-        this.frontLeftWheel.castShadow = true;
-        this.carGroup.add(this.frontLeftWheel);
-
-        this.frontRightWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        this.frontRightWheel.position.set(1.1, 0, 1.2);
-        this.frontRightWheel.rotation.z = Math.PI / 2;
-        this.frontRightWheel.castShadow = true;
-        this.carGroup.add(this.frontRightWheel);
-
-        this.rearLeftWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        this.rearLeftWheel.position.set(-1.1, 0, -1.2);
-        this.rearLeftWheel.rotation.z = Math.PI / 2;
-        this.rearLeftWheel.castShadow = true;
-        this.carGroup.add(this.rearLeftWheel);
-
-        this.rearRightWheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-        this.rearRightWheel.position.set(1.1, 0, -1.2);
-        this.rearRightWheel.rotation.z = Math.PI / 2;
-        this.rearRightWheel.castShadow = true;
-        this.carGroup.add(this.rearRightWheel);
+        const addWheel = (x, z) => {
+            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.position.set(x, 0, z);
+            wheel.rotation.z = Math.PI / 2;
+            wheel.castShadow = true;
+            this.carGroup.add(wheel);
+            return wheel;
+        };
+        this.frontLeftWheel = addWheel(-wheels.x, wheels.z);
+        this.frontRightWheel = addWheel(wheels.x, wheels.z);
+        this.rearLeftWheel = addWheel(-wheels.x, -wheels.z);
+        this.rearRightWheel = addWheel(wheels.x, -wheels.z);
 
         this.scene.add(this.carGroup);
     }
 
-    setupControls() {
-        document.addEventListener('keydown', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                case 'ArrowUp':
-                    if (!this.controls.forward) console.debug('[Car] Forward pressed');
-                    this.controls.forward = true;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    if (!this.controls.backward) console.debug('[Car] Backward pressed');
-                    this.controls.backward = true;
-                    break;
-                case 'KeyA':
-                case 'ArrowLeft':
-                    if (!this.controls.left) console.debug('[Car] Left pressed');
-                    this.controls.left = true;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    if (!this.controls.right) console.debug('[Car] Right pressed');
-                    this.controls.right = true;
-                    break;
-                case 'Space':
-                    if (!this.controls.handbrake) console.debug('[Car] Handbrake pressed');
-                    this.controls.handbrake = true;
-                    event.preventDefault();
-                    break;
-            }
-            if (["ArrowUp","ArrowDown","ArrowLeft","ArrowRight"].includes(event.code)) event.preventDefault();
-        });
-        document.addEventListener('keyup', (event) => {
-            switch(event.code) {
-                case 'KeyW':
-                case 'ArrowUp':
-                    if (this.controls.forward) console.debug('[Car] Forward released');
-                    this.controls.forward = false;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    if (this.controls.backward) console.debug('[Car] Backward released');
-                    this.controls.backward = false;
-                    break;
-                case 'KeyA':
-                case 'ArrowLeft':
-                    if (this.controls.left) console.debug('[Car] Left released');
-                    this.controls.left = false;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    if (this.controls.right) console.debug('[Car] Right released');
-                    this.controls.right = false;
-                    break;
-                case 'Space':
-                    if (this.controls.handbrake) console.debug('[Car] Handbrake released');
-                    this.controls.handbrake = false;
-                    break;
-            }
-            if (["ArrowUp","ArrowDown","ArrowLeft","ArrowRight"].includes(event.code)) event.preventDefault();
-        });
-    }
-
-    _applyInputForces(deltaTime) {
-        // Obtain forward vector from current orientation
-        const rot = this.body.rotation();
-        const quat = new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w);
-        const forward = new THREE.Vector3(0,0,-1).applyQuaternion(quat).normalize();
-        const right = new THREE.Vector3(1,0,0).applyQuaternion(quat).normalize();
+    // Engine, brake, steering and tire grip for this step, then the raycast wheel update
+    _applyVehicleControls(deltaTime) {
+        const forward = this.getForwardDirection();
+        const lv = this.body.linvel();
+        const velVec = new THREE.Vector3(lv.x, lv.y, lv.z);
+        const speed = velVec.length();
+        const forwardSpeed = velVec.dot(forward);
 
         // Engine / brake with optional analog
         let throttleInput = 0;
         if (this.analog.throttle != null) {
-            throttleInput = Math.max(0, Math.min(1, this.analog.throttle));
+            throttleInput = Math.max(-1, Math.min(1, this.analog.throttle));
         } else {
             if (this.controls.forward) throttleInput += 1;
             if (this.controls.backward) throttleInput -= 1; // supports simple reverse
         }
+        let engineForce = 0;
+        let brakeImpulse = 0;
         if (throttleInput !== 0) {
-            const impulse = forward.clone().multiplyScalar(this.accelerationForce * throttleInput * deltaTime);
-            this.body.applyImpulse(impulse, true);
+            const opposesMotion = Math.abs(forwardSpeed) > this.brakeToReverseSpeed &&
+                Math.sign(forwardSpeed) !== Math.sign(throttleInput);
+            if (opposesMotion) {
+                // Wheel brakes take an impulse limit per step; split the brake force over four wheels
+                brakeImpulse = this.brakeForce * Math.abs(throttleInput) * deltaTime / this.wheels.length;
+            } else {
+                const boost = (this.controls.boost && throttleInput > 0) ? this.boostMultiplier : 1;
+                const reverse = throttleInput < 0 ? this.reverseForceMultiplier : 1;
+                engineForce = this.accelerationForce * this.getPerformance() * boost * reverse * throttleInput / this.drivenWheelCount;
+            }
         }
 
-        // Steering via angular velocity (yaw) with optional analog
+        // Steering with optional analog
         let steerInput = 0;
         if (this.analog.steering != null) {
             steerInput = Math.max(-1, Math.min(1, this.analog.steering));
@@ -290,94 +273,87 @@ class Car {
             this._lastSteerTime = performance.now() / 1000;
         }
 
+        // Front wheel angle that yields turnSpeed of yaw at the current speed (bicycle model),
+        // never below minSteerFactor of full lock; the handbrake allows extra lock for drifting
+        const wheelBase = Math.abs(this.wheels[0].mesh.position.z - this.wheels[2].mesh.position.z);
+        let steerFactor = speed > 0.05 ? Math.atan(this.turnSpeed * wheelBase / speed) / this.maxSteerAngle : 1;
+        steerFactor = Math.min(1, Math.max(this.minSteerFactor, steerFactor));
+        if (this.controls.handbrake) steerFactor = Math.min(1, steerFactor * (1 + this.handbrakeYawBoost));
+        const steerAngle = steerInput * this.maxSteerAngle * steerFactor;
+
+        // Side grip fades from maxGrip to baseGrip as the car slides sideways
+        const slip = speed > 0.05 ? Math.sqrt(Math.max(0, speed * speed - forwardSpeed * forwardSpeed)) / speed : 0;
+        let grip = THREE.MathUtils.lerp(this.maxGrip, this.baseGrip, slip) / this.maxGrip;
+        if (slip > this.driftSlipThreshold) grip *= 0.7;
+        const damageFactor = this.getPerformance();
+
+        this.wheels.forEach((wheel, i) => {
+            const handbrake = this.controls.handbrake && !wheel.front;
+            this.vehicle.setWheelSteering(i, wheel.front ? steerAngle : 0);
+            this.vehicle.setWheelEngineForce(i, wheel.driven && !handbrake ? engineForce : 0);
+            this.vehicle.setWheelBrake(i, handbrake ? this.brakeForce * deltaTime : brakeImpulse);
+            this.vehicle.setWheelFrictionSlip(i, wheel.frictionSlip * damageFactor);
+            this.vehicle.setWheelSideFrictionStiffness(i, wheel.sideFriction * grip * damageFactor * (handbrake ? this.driftGripMultiplier : 1));
+        });
 
-
-        const linvel = this.body.linvel();
-        const velVec = new THREE.Vector3(linvel.x, linvel.y, linvel.z);
-        const speed = velVec.length();
-
-        if (speed > 0.05 && steerInput !== 0) {
-            let steerFactor = Math.min(1, Math.max(this.minSteerFactor, speed / 8));
-            if (this.controls.handbrake) steerFactor *= (1 + this.handbrakeYawBoost);
-            const targetYawVel = steerInput * this.turnSpeed * steerFactor;
-            const angvel = this.body.angvel();
-            // Blend to target (simple approach)
-            const blend = 0.6;
-            const newYaw = THREE.MathUtils.lerp(angvel.y, targetYawVel, blend);
-            this.body.setAngvel({ x: angvel.x * 0.5, y: newYaw, z: angvel.z * 0.5 }, true);
-        }
+        this.vehicle.updateVehicle(deltaTime);
     }
 
-    // Allow external modules to set analog steering (-1..1) and throttle (0..1)
+    // Allow external modules to set analog steering (-1..1) and throttle (-1..1)
     setAnalogControls(steering, throttle) {
         this.analog.steering = steering;
         this.analog.throttle = throttle;
     }
 
-    _applyGripAndDrift(deltaTime) {
-        const linvel = this.body.linvel();
-        const speed = Math.sqrt(linvel.x*linvel.x + linvel.y*linvel.y + linvel.z*linvel.z);
-        if (speed < 0.05) {
-            // Still mirror velocity so UI shows small movement onset
-            this.velocity.set(linvel.x, linvel.y, linvel.z);
-            return;
-        }
-
-        const rot = this.body.rotation();
-        const quat = new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w);
-        const forward = new THREE.Vector3(0,0,-1).applyQuaternion(quat).normalize();
-
-        const velVec = new THREE.Vector3(linvel.x, linvel.y, linvel.z);
-        const forwardSpeed = velVec.dot(forward);
-        const forwardComp = forward.clone().multiplyScalar(forwardSpeed);
-        const lateralComp = velVec.clone().sub(forwardComp);
-        const lateralMag = lateralComp.length();
-        const slip = lateralMag / speed;
-
-        let grip = THREE.MathUtils.lerp(this.maxGrip, this.baseGrip, slip);
-        if (slip > this.driftSlipThreshold) grip *= 0.7;
-        if (this.controls.handbrake) grip *= this.driftGripMultiplier;
-
-        const bleed = Math.min(1, grip * deltaTime);
-        lateralComp.multiplyScalar(1 - bleed);
-        const newVel = forwardComp.add(lateralComp);
-
-        // Update linear velocity (preserve any vertical component)
-        newVel.y = velVec.y;
-        this.body.setLinvel({ x: newVel.x, y: newVel.y, z: newVel.z }, true);
-
-        // Mirror for smoke & API
-        this.velocity.copy(newVel);
-        if (Math.random() < 0.02) {
-            console.debug('[Car] linvel', linvel.x.toFixed(2), linvel.y.toFixed(2), linvel.z.toFixed(2));
-        }
+    // Apply a normalized control frame from input.js (steer is positive-right there).
+    // throttle and brake fold into one signed axis; in reverse gear throttle drives backwards
+    // and brake pushes forwards (i.e. brakes while rolling backwards).
+    applyControlFrame(frame) {
+        if (!frame) return;
+        this.controls.forward = frame.throttle > 0;
+        this.controls.backward = frame.brake > 0;
+        this.controls.left = frame.steer < 0;
+        this.controls.right = frame.steer > 0;
+        this.controls.handbrake = !!frame.handbrake;
+        this.controls.boost = !!frame.boost;
+        this.controls.reverse = !!frame.reverse;
+        const axis = frame.throttle - frame.brake;
+        this.setAnalogControls(-frame.steer, frame.reverse ? -axis : axis);
     }
 
     update(deltaTime, worldOverride, eventQueue) {
         if (this.exploded) {
-            // Update debris meshes to follow their rigid bodies
-            for (const piece of this.debris) {
-                const t = piece.body.translation();
-                piece.mesh.position.set(t.x, t.y, t.z);
-                const r = piece.body.rotation();
-                piece.mesh.quaternion.set(r.x, r.y, r.z, r.w);
-            }
+            this._syncDebris();
             return; // Skip normal car physics while exploded
         }
         const world = worldOverride || this.world;
         // Set per-frame timestep (Rapier uses fixed default if not set)
         world.timestep = deltaTime;
 
-        // Phase 1: Apply input forces before stepping
-        this._applyInputForces(deltaTime);
+        this.beforeStep(deltaTime);
 
         // Step physics (optionally with event queue for collisions)
         if (eventQueue) world.step(eventQueue); else world.step();
 
-        // Phase 2: Grip correction & drift shaping after physics step
-        this._applyGripAndDrift(deltaTime);
+        this.afterStep(deltaTime);
+    }
+
+    // Several cars sharing one world call beforeStep() on each, step the world once, then
+    // afterStep() on each (see PhysicsManager.update)
+    beforeStep(deltaTime) {
+        if (this.exploded) return;
+        // Phase 1: Wheel forces and suspension before stepping
+        this._applyVehicleControls(deltaTime);
+    }
 
-        // Sync transform to Three.js
+    afterStep(deltaTime) {
+        if (this.exploded) {
+            this._syncDebris();
+            return;
+        }
+        // Phase 2: Mirror velocity (smoke & API) and sync transform to Three.js
+        const lv = this.body.linvel();
+        this.velocity.set(lv.x, lv.y, lv.z);
         const t = this.body.translation();
         const r = this.body.rotation();
         this.position.set(t.x, t.y, t.z);
@@ -387,6 +363,8 @@ class Car {
 
         this.carGroup.position.copy(this.position);
         this.carGroup.quaternion.copy(quat);
+        this._syncWheels();
+        this._recoverIfFlipped(deltaTime, quat);
 
         // For smoke forward vector (match original sign convention)
         const forward = new THREE.Vector3(0,0,-1).applyQuaternion(quat).normalize();
@@ -395,6 +373,42 @@ class Car {
         this._updateSmoke(deltaTime, forward);
     }
 
+    // Nothing clamps the body upright any more; right it if it ends up stuck on its roof or side
+    _recoverIfFlipped(deltaTime, quat) {
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quat);
+        if (up.y > 0.3 || this.velocity.length() > 2) {
+            this._flippedTime = 0;
+            return;
+        }
+        this._flippedTime += deltaTime;
+        if (this._flippedTime < this.flipRecoverSeconds) return;
+        this._flippedTime = 0;
+        const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation);
+        this.body.setTranslation({ x: this.position.x, y: this.position.y + this.spawnHeight, z: this.position.z }, true);
+        this.body.setRotation({ x: yaw.x, y: yaw.y, z: yaw.z, w: yaw.w }, true);
+        this.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        this.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    }
+
+    // Wheel meshes follow suspension travel, steering and spin
+    _syncWheels() {
+        this.wheels.forEach((wheel, i) => {
+            const suspension = this.vehicle.wheelSuspensionLength(i) ?? this.suspension.restLength;
+            wheel.mesh.position.y = wheel.connectionY - suspension;
+            wheel.mesh.rotation.set(this.vehicle.wheelRotation(i) || 0, this.vehicle.wheelSteering(i) || 0, Math.PI / 2);
+        });
+    }
+
+    // Update debris meshes to follow their rigid bodies
+    _syncDebris() {
+        for (const piece of this.debris) {
+            const t = piece.body.translation();
+            piece.mesh.position.set(t.x, t.y, t.z);
+            const r = piece.body.rotation();
+            piece.mesh.quaternion.set(r.x, r.y, r.z, r.w);
+        }
+    }
+
     explode() {
         if (this.exploded) return;
         this.exploded = true;
@@ -411,7 +425,8 @@ class Car {
             const rbDesc = this.RAPIER.RigidBodyDesc.dynamic().setTranslation(this.position.x, this.position.y + 0.5, this.position.z);
             const body = this.world.createRigidBody(rbDesc);
             const colDesc = this.RAPIER.ColliderDesc.cuboid(size/2,size/2,size/2).setRestitution(0.4).setFriction(0.6);
-            this.world.createCollider(colDesc, body);
+            const collider = this.world.createCollider(colDesc, body);
+            if (this.colliders) this.colliders.register(collider, ENTITY.DEBRIS, this);
             // Impulse outward
             body.applyImpulse({
                 x:(Math.random()-0.5)*40,
@@ -432,30 +447,96 @@ class Car {
 
     getSpeed() { return this.velocity.length(); }
 
-    shouldExplodeFromCollision(otherHandle, ignoreHandlesSet) {
-        if (!this.explodeOnAnyCollision) return false;
-        if (this.exploded) return false;
-        if (ignoreHandlesSet && otherHandle && ignoreHandlesSet.has(otherHandle)) return false;
-        if (this.getSpeed() < this.minExplodeSpeed) return false;
-        return true;
+    // ===== Damage =====
+    // A contact pushed this car with impulse (N·s) along forceDir (world, unit, pointing into the car).
+    // Hits square to the direction of travel hurt most; returns the health lost.
+    applyImpact(impulse, forceDir) {
+        const p = this.damageParams;
+        if (this.exploded || impulse <= p.minImpulse) return 0;
+
+        const dir = new THREE.Vector3(forceDir.x, forceDir.y, forceDir.z).normalize();
+        let angleFactor = 1;
+        const speed = this.velocity.length();
+        if (speed > 1) {
+            const square = Math.abs(this.velocity.dot(dir)) / speed; // 1 = head-on, 0 = glancing
+            angleFactor = p.glancingFactor + (1 - p.glancingFactor) * square;
+        }
+        const damage = (impulse - p.minImpulse) * p.damagePerImpulse * angleFactor;
+        this.health = Math.max(0, this.health - damage);
+
+        this._dent(dir, damage);
+        this._updateDamageVisuals();
+        if (this.health <= 0) this.explode();
+        return damage;
+    }
+
+    getHealthFraction() {
+        return this.health / this.damageParams.maxHealth;
+    }
+
+    // Acceleration and grip multiplier for the current damage
+    getPerformance() {
+        const min = this.damageParams.minPerformance;
+        return min + (1 - min) * this.getHealthFraction();
+    }
+
+    repair() {
+        this.health = this.damageParams.maxHealth;
+        this.bodyMesh.geometry.attributes.position.array.set(this._bodyRestPositions);
+        this.bodyMesh.geometry.attributes.position.needsUpdate = true;
+        this.bodyMesh.geometry.computeVertexNormals();
+        this._updateDamageVisuals();
+    }
+
+    // Push body vertices near the struck side inwards
+    _dent(forceDir, damage) {
+        const p = this.damageParams;
+        // Struck side in body mesh space: against the force, scaled out to the box surface
+        const inverse = this.carGroup.quaternion.clone().invert();
+        const push = forceDir.clone().applyQuaternion(inverse);
+        const side = push.clone().negate();
+        const { width, height, length } = this.visual.body;
+        const half = { x: width / 2, y: height / 2, z: length / 2 };
+        side.multiplyScalar(1 / Math.max(Math.abs(side.x) / half.x, Math.abs(side.y) / half.y, Math.abs(side.z) / half.z, 1e-6));
+
+        const depth = Math.min(p.maxDentDepth, damage * 0.01);
+        const position = this.bodyMesh.geometry.attributes.position;
+        const v = new THREE.Vector3();
+        for (let i = 0; i < position.count; i++) {
+            v.fromBufferAttribute(position, i);
+            const falloff = 1 - v.distanceTo(side) / p.dentRadius;
+            if (falloff <= 0) continue;
+            v.addScaledVector(push, depth * falloff);
+            position.setXYZ(i, v.x, v.y, v.z);
+        }
+        position.needsUpdate = true;
+        this.bodyMesh.geometry.computeVertexNormals();
+    }
+
+    _updateDamageVisuals() {
+        const darken = (1 - this.getHealthFraction()) * this.damageParams.maxDarken;
+        this.bodyMesh.material.color.set(this.color).lerp(new THREE.Color(0x222222), darken);
     }
 
     resetAfterExplosion() {
         // Clean debris
         for (const piece of this.debris) {
+            if (this.colliders) this.colliders.unregisterBody(piece.body);
             try { this.world.removeRigidBody(piece.body); } catch(e) {}
             this.scene.remove(piece.mesh);
         }
         this.debris.length = 0;
         // Reset car body
-        this.body.setTranslation({x:0,y:0.5,z:0}, true);
+        this.body.setTranslation({x:this.spawn.x,y:this.spawnHeight,z:this.spawn.z}, true);
+        this.body.setRotation({x:0,y:0,z:0,w:1}, true);
         this.body.setLinvel({x:0,y:0,z:0}, true);
         this.body.setAngvel({x:0,y:0,z:0}, true);
         this.velocity.set(0,0,0);
-        this.carGroup.position.set(0,0.5,0);
+        this.carGroup.position.set(this.spawn.x,this.spawnHeight,this.spawn.z);
         this.carGroup.quaternion.identity();
         this.carGroup.visible = true;
         this.exploded = false;
+        this.repair();
     }
 
     _computeSlip(forward) {
@@ -0,0 +1,45 @@
+// responsecurves.js - Dead zone / curve / saturation shaping for hand steering and throttle
+// Curve settings (per axis):
+//   deadzone:   |input| below this reads as 0
+//   saturation: |input| at and above this reads as full output
+//   curve:      'linear' | 'expo' (fine control near center) | 's' (smooth center and ends)
+//   amount:     0..1 strength of the curve
+// Steering additionally scales down with vehicle speed (speedReduction at fullReductionSpeed m/s).
+
+export const DEFAULT_RESPONSE = {
+    steering: { deadzone: 0.04, saturation: 0.9, curve: 'expo', amount: 0.35, speedReduction: 0.35, fullReductionSpeed: 30 },
+    throttle: { deadzone: 0.05, saturation: 0.95, curve: 'linear', amount: 0 }
+};
+
+// Latest raw and shaped values, for the preview plot in camera.js
+export const responsePreview = { steerRaw: 0, steer: 0, throttleRaw: 0, throttle: 0 };
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Profile overrides merged over the defaults (always a fresh object)
+export function resolveResponse(overrides) {
+    return {
+        steering: { ...DEFAULT_RESPONSE.steering, ...overrides?.steering },
+        throttle: { ...DEFAULT_RESPONSE.throttle, ...overrides?.throttle }
+    };
+}
+
+// Shape a signed input (-1..1) with one axis' settings; the sign is preserved
+export function shapeAxis(value, settings) {
+    const { deadzone = 0, saturation = 1, curve = 'linear', amount = 0 } = settings || {};
+    const magnitude = Math.min(1, Math.abs(value));
+    if (magnitude <= deadzone) return 0;
+    let x = clamp01((magnitude - deadzone) / Math.max(1e-6, saturation - deadzone));
+    if (curve === 'expo') {
+        x = (1 - amount) * x + amount * x * x * x;
+    } else if (curve === 's') {
+        x = (1 - amount) * x + amount * x * x * (3 - 2 * x);
+    }
+    return Math.sign(value) * x;
+}
+
+// Steering multiplier at the given speed (m/s)
+export function speedSteeringScale(speed, settings) {
+    if (!settings || !settings.speedReduction) return 1;
+    return 1 - settings.speedReduction * clamp01(speed / (settings.fullReductionSpeed || 1));
+}
@@ -0,0 +1,110 @@
+// stunts.js - Airtime and flip detection for the player cars
+// A jump starts when no wheel touches the ground and ends when one does again. While airborne the
+// body's angular velocity is integrated in the car's own frame: pitch = flips, roll = barrel rolls,
+// yaw = spins. Touching down upright is a clean landing. Being held up without wheel contact (on the
+// roof or side, no longer falling freely) is a crash and scores nothing.
+import * as THREE from 'three';
+
+export const STUNT_SCORING = {
+    minAirTime: 0.4,         // s; crests and bumps shorter than this are not jumps
+    pointsPerSecond: 200,    // air time
+    pointsPerFlip: 500,
+    pointsPerRoll: 400,
+    pointsPerSpin: 250,      // full turn around the vertical axis
+    cleanLandingBonus: 300,
+    cleanLandingUp: 0.8,     // car up · world up at touchdown for a clean landing
+    turnTolerance: 0.15,     // fraction of a turn forgiven, so 0.85 of a rotation counts as one
+    supportAccel: 5,         // vertical acceleration (m/s²) above -supportAccel means the body is held up ...
+    crashSeconds: 0.25       // ... for this long without wheel contact = on the roof or side
+};
+
+const TWO_PI = 2 * Math.PI;
+
+export class StuntTracker {
+    constructor(scoring = STUNT_SCORING) {
+        this.scoring = scoring;
+        this._quat = new THREE.Quaternion();
+        this._angvel = new THREE.Vector3();
+        this.crashed = false; // no new jump until the wheels are back on the ground
+        this.reset();
+    }
+
+    reset() {
+        this.airborne = false;
+        this.airTime = 0;
+        this.pitch = 0; // radians turned in the car's frame since takeoff
+        this.roll = 0;
+        this.yaw = 0;
+        this._supportedTime = 0;
+        this._lastVy = null;
+    }
+
+    // Call once per physics tick after the world step. Returns the finished stunt on landing, else null:
+    // { airTime, flips, rolls, spins, backflip, clean, points, label }
+    update(car, deltaTime) {
+        if (car.exploded) {
+            this.crashed = true;
+            this.reset();
+            return null;
+        }
+        const grounded = car.isOnGround();
+        if (!this.airborne) {
+            if (grounded) this.crashed = false;
+            else if (!this.crashed) {
+                this.reset();
+                this.airborne = true;
+            }
+            return null;
+        }
+
+        const r = car.body.rotation();
+        this._quat.set(r.x, r.y, r.z, r.w);
+        if (grounded) {
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this._quat);
+            const stunt = this._score(up.y >= this.scoring.cleanLandingUp);
+            this.reset();
+            return stunt;
+        }
+
+        this.airTime += deltaTime;
+        const w = car.body.angvel();
+        this._angvel.set(w.x, w.y, w.z).applyQuaternion(this._quat.invert());
+        this.pitch += this._angvel.x * deltaTime;
+        this.yaw += this._angvel.y * deltaTime;
+        this.roll += this._angvel.z * deltaTime;
+
+        const vy = car.velocity.y;
+        const supported = this._lastVy != null && (vy - this._lastVy) / deltaTime > -this.scoring.supportAccel;
+        this._lastVy = vy;
+        this._supportedTime = supported ? this._supportedTime + deltaTime : 0;
+        if (this._supportedTime >= this.scoring.crashSeconds) {
+            this.crashed = true;
+            this.reset();
+        }
+        return null;
+    }
+
+    _score(clean) {
+        const s = this.scoring;
+        if (this.airTime < s.minAirTime) return null;
+        const turns = (angle) => Math.floor(Math.abs(angle) / TWO_PI + s.turnTolerance);
+        const flips = turns(this.pitch);
+        const rolls = turns(this.roll);
+        const spins = turns(this.yaw);
+        const backflip = this.pitch > 0; // positive pitch lifts the nose (-Z) first
+
+        const points = Math.round(this.airTime * s.pointsPerSecond
+            + flips * s.pointsPerFlip + rolls * s.pointsPerRoll + spins * s.pointsPerSpin
+            + (clean ? s.cleanLandingBonus : 0));
+
+        const count = (n, name) => n > 1 ? `${n}x ${name}` : name;
+        const tricks = [];
+        if (flips) tricks.push(count(flips, backflip ? 'Backflip' : 'Frontflip'));
+        if (rolls) tricks.push(count(rolls, 'Barrel Roll'));
+        if (spins) tricks.push(count(spins, 'Spin'));
+        if (!tricks.length) tricks.push(`Air ${this.airTime.toFixed(1)}s`);
+        if (clean) tricks.push('Clean!');
+
+        return { airTime: this.airTime, flips, rolls, spins, backflip, clean, points, label: tricks.join(' + ') };
+    }
+}
@@ -0,0 +1,55 @@
+// terrain.js - Procedural ground elevation (hills, crests and dips along the road)
+// heightAt(x, z) is smooth and defined everywhere, so the road, terrain chunks, fences, trees, coins
+// and NPCs all agree on the ground height. Chunks are sampled on a regular grid; the same samples
+// build the visible mesh (WorldManager) and the Rapier heightfield (PhysicsManager.addTerrainChunk).
+
+export const TERRAIN_CHUNK_SIZE = 100;    // world units per square chunk
+export const TERRAIN_CHUNK_SEGMENTS = 50; // grid cells per chunk side (2 m)
+
+// Elevation mostly varies along the road (-Z), so its cross-section stays nearly level
+const HILLS = [
+    { wavelength: 560, amplitude: 6 },   // long climbs and descents
+    { wavelength: 230, amplitude: 2.5 }, // crests and dips
+    { wavelength: 105, amplitude: 0.8 }  // small bumps
+];
+const SIDE_ROLL = { wavelength: 210, amplitude: 0.6 }; // gentle variation across the road
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+export class Terrain {
+    // The start line area (|z| < flatRadius) is level; hills ease in over rampLength
+    constructor({ flatRadius = 60, rampLength = 120 } = {}) {
+        this.flatRadius = flatRadius;
+        this.rampLength = rampLength;
+        // Random phases give every game a different landscape
+        this.hills = HILLS.map(h => ({ k: 2 * Math.PI / h.wavelength, amplitude: h.amplitude, phase: Math.random() * 2 * Math.PI }));
+        this.side = { k: 2 * Math.PI / SIDE_ROLL.wavelength, amplitude: SIDE_ROLL.amplitude, phase: Math.random() * 2 * Math.PI };
+    }
+
+    heightAt(x, z) {
+        let h = 0;
+        for (const hill of this.hills) h += hill.amplitude * Math.sin(z * hill.k + hill.phase);
+        h += this.side.amplitude * Math.sin(x * this.side.k + this.side.phase) * Math.sin(z * this.side.k * 0.7);
+        return h * smoothstep(this.flatRadius, this.flatRadius + this.rampLength, Math.abs(z));
+    }
+
+    // Chunk (ix, iz) covers x in [ix, ix + 1) * size and z in [iz, iz + 1) * size.
+    // heights is column-major ((segments + 1)^2, row = z, column = x), as Rapier heightfields expect.
+    sampleChunk(ix, iz, size = TERRAIN_CHUNK_SIZE, segments = TERRAIN_CHUNK_SEGMENTS) {
+        const centerX = (ix + 0.5) * size;
+        const centerZ = (iz + 0.5) * size;
+        const n = segments + 1;
+        const heights = new Float32Array(n * n);
+        for (let col = 0; col < n; col++) {
+            const x = centerX - size / 2 + col * size / segments;
+            for (let row = 0; row < n; row++) {
+                const z = centerZ - size / 2 + row * size / segments;
+                heights[row + col * n] = this.heightAt(x, z);
+            }
+        }
+        return { ix, iz, centerX, centerZ, size, segments, heights };
+    }
+}
@@ -0,0 +1,124 @@
+// trackinggovernor.js - Adapts hand-tracking cost (input resolution, model complexity, frame
+// skipping) to hold the game at a target FPS, and shows the current tier in a debug overlay
+
+// Ordered from most to least expensive
+export const TRACKING_TIERS = [
+    { name: 'high', width: 1280, modelComplexity: 1, frameSkip: 0 },
+    { name: 'medium', width: 960, modelComplexity: 1, frameSkip: 0 },
+    { name: 'low', width: 640, modelComplexity: 0, frameSkip: 1 },
+    { name: 'minimal', width: 480, modelComplexity: 0, frameSkip: 2 }
+];
+
+export class TrackingGovernor {
+    constructor({ targetFps = 55, trackingShare = 0.6, evaluateEveryMs = 1000, upgradeAfter = 3 } = {}) {
+        this.targetFps = targetFps;
+        this.trackingShare = trackingShare; // share of a game frame inference may take
+        this.evaluateEveryMs = evaluateEveryMs;
+        this.upgradeAfter = upgradeAfter;   // consecutive healthy evaluations before stepping up
+        this.tierIndex = 0;
+        this.enabled = true;
+        this.listeners = new Set();
+
+        this.inferenceMs = null; // exponential moving averages
+        this.frameMs = null;
+        this.healthyStreak = 0;
+        this.lastEvaluate = performance.now();
+        this.overlay = null;
+        this._lastOverlayUpdate = 0;
+    }
+
+    get tier() {
+        return TRACKING_TIERS[this.tierIndex];
+    }
+
+    // Per-frame inference budget in ms
+    get trackingBudgetMs() {
+        return (1000 / this.targetFps) * this.trackingShare * (this.tier.frameSkip + 1);
+    }
+
+    onTierChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    setTier(index) {
+        const clamped = Math.max(0, Math.min(TRACKING_TIERS.length - 1, index));
+        if (clamped === this.tierIndex) return;
+        this.tierIndex = clamped;
+        this.healthyStreak = 0;
+        // Old measurements belong to the previous tier
+        this.inferenceMs = null;
+        console.info('[TrackingGovernor] Tier ->', this.tier.name);
+        for (const cb of this.listeners) cb(this.tier);
+    }
+
+    recordInference(ms) {
+        this.inferenceMs = this.inferenceMs == null ? ms : this.inferenceMs + (ms - this.inferenceMs) * 0.1;
+    }
+
+    recordGameFrame(ms) {
+        // Ignore hitches from tab switches etc.
+        if (ms > 250) return;
+        this.frameMs = this.frameMs == null ? ms : this.frameMs + (ms - this.frameMs) * 0.05;
+        const now = performance.now();
+        if (now - this.lastEvaluate >= this.evaluateEveryMs) {
+            this.lastEvaluate = now;
+            this._evaluate();
+        }
+        if (this.overlay && now - this._lastOverlayUpdate > 250) {
+            this._lastOverlayUpdate = now;
+            this._renderOverlay();
+        }
+    }
+
+    _evaluate() {
+        if (!this.enabled || this.frameMs == null) return;
+        const targetFrameMs = 1000 / this.targetFps;
+        const slowGame = this.frameMs > targetFrameMs * 1.1;
+        const slowTracking = this.inferenceMs != null && this.inferenceMs > this.trackingBudgetMs;
+        if (slowGame || slowTracking) {
+            this.setTier(this.tierIndex + 1);
+            return;
+        }
+        const roomy = this.frameMs < targetFrameMs * 0.9 &&
+            (this.inferenceMs == null || this.inferenceMs < this.trackingBudgetMs * 0.5);
+        this.healthyStreak = roomy ? this.healthyStreak + 1 : 0;
+        if (this.healthyStreak >= this.upgradeAfter) this.setTier(this.tierIndex - 1);
+    }
+
+    toggleOverlay(show = !this.overlay) {
+        if (show && !this.overlay) {
+            const el = document.createElement('div');
+            el.style.position = 'fixed';
+            el.style.right = '10px';
+            el.style.bottom = '60px';
+            el.style.zIndex = '50';
+            el.style.padding = '6px 8px';
+            el.style.fontFamily = 'monospace';
+            el.style.fontSize = '12px';
+            el.style.whiteSpace = 'pre';
+            el.style.background = 'rgba(0,0,0,0.6)';
+            el.style.color = '#0f0';
+            el.style.pointerEvents = 'none';
+            document.body.appendChild(el);
+            this.overlay = el;
+            this._renderOverlay();
+        } else if (!show && this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    _renderOverlay() {
+        const t = this.tier;
+        const fmt = (v) => v == null ? '--' : v.toFixed(1);
+        const fps = this.frameMs ? (1000 / this.frameMs).toFixed(0) : '--';
+        this.overlay.textContent =
+            `Tracking tier: ${t.name} (${this.tierIndex + 1}/${TRACKING_TIERS.length})${this.enabled ? '' : ' [locked]'}\n` +
+            `  input ${t.width}px, model ${t.modelComplexity}, skip ${t.frameSkip}\n` +
+            `Inference: ${fmt(this.inferenceMs)} ms / budget ${fmt(this.trackingBudgetMs)} ms\n` +
+            `Game frame: ${fmt(this.frameMs)} ms (${fps} fps, target ${this.targetFps})`;
+    }
+}
+
+export const trackingGovernor = new TrackingGovernor();
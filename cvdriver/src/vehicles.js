@@ -0,0 +1,71 @@
+// vehicles.js - Vehicle classes (vehicles.json) and the player's remembered choice
+// Each class overrides "defaults" section by section (nested objects merge, e.g. one suspension value):
+//   physics  handling of the raycast vehicle (see Car._applyVehicleControls)
+//     accelerationForce    total engine force (N), shared by the driven wheels
+//     brakeForce           total brake force (N)
+//     turnSpeed            yaw rate (rad/s) the front wheel angle aims for at speed
+//     minSteerFactor       smallest fraction of maxSteerAngle kept at high speed
+//     baseGrip / maxGrip   side grip while sliding fully sideways / rolling straight (ratio scales tire side friction)
+//     driftGripMultiplier  rear side grip multiplier on the handbrake
+//     maxHealth            damage the car takes before exploding (impulses grow with mass)
+//     driveWheels          'all' | 'front' | 'rear'
+//     suspension.stiffness per unit of chassis mass (Rapier scales suspension forces by it)
+//     frictionSlip         caps the tire force per axle, in multiples of the wheel load
+//     sideFriction         scales the lateral grip per axle
+//   visual   body / cabin box sizes and wheel layout (meshes; the wheels also place the raycasts)
+//   smoke    tire smoke parameters (Car._updateSmoke)
+import data from './vehicles.json';
+
+const STORAGE_KEY = 'cvdriver.vehicle';
+
+function merge(base, overrides) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const nested = value && typeof value === 'object' && !Array.isArray(value) && base && typeof base[key] === 'object';
+        out[key] = nested ? merge(base[key], value) : value;
+    }
+    return out;
+}
+
+// Fully resolved classes: { id, name, description, physics, visual, smoke }
+export const VEHICLE_CLASSES = data.classes.map(cls => ({
+    id: cls.id,
+    name: cls.name,
+    description: cls.description || '',
+    physics: merge(data.defaults.physics, cls.physics),
+    visual: merge(data.defaults.visual, cls.visual),
+    smoke: merge(data.defaults.smoke, cls.smoke)
+}));
+
+export const DEFAULT_VEHICLE_ID = data.defaultClass;
+
+// Unknown ids fall back to the default class
+export function getVehicleClass(id = DEFAULT_VEHICLE_ID) {
+    return VEHICLE_CLASSES.find(c => c.id === id) || VEHICLE_CLASSES.find(c => c.id === DEFAULT_VEHICLE_ID);
+}
+
+// Remembered choice per player (index 0 = solo / player 1)
+export function getSelectedVehicleIds() {
+    let ids = [];
+    try { ids = JSON.parse(localStorage.getItem(STORAGE_KEY)) || []; } catch {}
+    return [0, 1].map(i => VEHICLE_CLASSES.some(c => c.id === ids[i]) ? ids[i] : DEFAULT_VEHICLE_ID);
+}
+
+export function setSelectedVehicleId(player, id) {
+    const ids = getSelectedVehicleIds();
+    ids[player] = id;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(ids)); } catch {}
+}
+
+// 0..1 ratings relative to the other classes, for the selection screen
+export function getVehicleRatings(cls) {
+    const ratings = (c) => ({
+        acceleration: c.physics.accelerationForce / c.physics.mass,
+        grip: c.physics.maxGrip * (c.physics.frictionSlip.front + c.physics.frictionSlip.rear),
+        handling: c.physics.turnSpeed * c.physics.maxSteerAngle,
+        toughness: c.physics.maxHealth / c.physics.mass
+    });
+    const own = ratings(cls);
+    const all = VEHICLE_CLASSES.map(ratings);
+    return Object.fromEntries(Object.keys(own).map(key => [key, own[key] / Math.max(...all.map(r => r[key]))]));
+}
@@ -1,10 +1,15 @@
 // world-manager.js - Handles world generation, rendering, and visual elements
 import * as THREE from 'three';
-import {getLatestThumbCount} from "./camera.js";
+import { onGesture, getLatestHandData } from "./camera.js";
+import { GESTURE_BINDINGS } from './gestures.js';
 import { audio } from './audio.js';
+import { inputManager } from './input.js';
+import { Terrain, TERRAIN_CHUNK_SIZE } from './terrain.js';
 
 const gameContainer = document.getElementById("game")
-function generateRoadSchematic(initialX, initialY, initialZ = 0, initialAngle = 0) {
+const ROAD_LIFT = 0.08; // road surface above the terrain, enough to cover terrain triangulation between road points
+// heightAt(x, z) gives the road its elevation (Terrain.heightAt)
+function generateRoadSchematic(initialX, initialY, initialZ = 0, initialAngle = 0, heightAt = () => 0) {
     // returns an array of points representing a path of the road that will be like a parabola with curves and turns
     const points = [];
     let z = initialZ;
@@ -16,22 +21,25 @@ function generateRoadSchematic(initialX, initialY, initialZ = 0, initialAngle =
         z -= 20;
         angle += (Math.random() - 0.5) * 3; // random small turn
         x += Math.sin(angle) * 6; // curve effect
-        y = 0 // flat road for now, can add hills later
+        y = heightAt(x, z); // the road follows the terrain's hills, crests and dips
         points.push({ x, y, z, angle });
     }
     return points;
 }
+// players: 1 for solo play, 2 for local versus (side-by-side viewports, one HUD and score each)
 export class WorldManager {
-    constructor() {
+    constructor({ players = 1 } = {}) {
         this.scene = null;
         this.renderer = null;
-        this.overviewCamera = null;
-        this.playerCamera = null;
-        this.usePlayerCamera = false;
+        this.playerCount = players;
+        // Per player: { overviewCamera, playerCamera, usePlayerCamera, carStatsCard, scoreCard, label, coinsCollected, carsHit, stuntPoints }
+        this.playerViews = [];
 
         // World generation state
         this.generatedSegments = new Set();
-        this.generatedGrids = new Set();
+        this.terrain = new Terrain();
+        this.generatedTerrainChunks = new Map(); // "ix,iz" -> { iz, mesh, body } of built terrain chunks
+        this.terrainMaterial = new THREE.MeshLambertMaterial({ color: 0x98FB98 });
         this.roadSegments = [];
         this.lastRoad = { x: 0, y: 0, z: 0, theta: 0 };
         this.lastGeneratedSegmentCount = 0;
@@ -69,18 +77,27 @@ export class WorldManager {
         this.trunkMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
         this.leafMaterial = new THREE.MeshLambertMaterial({ color: 0x2E8B57 });
 
+        // Jump ramps
+        this.rampMaterial = new THREE.MeshLambertMaterial({ color: 0xFF8C00, side: THREE.DoubleSide });
+        this.ramps = []; // { lip, dir, length, rise, mesh, body }
+
         // UI elements
         this.coordinatesCard = null;
-        this.carStatsCard = null;
-        this.lastThumbCount = 0;
+        this.pauseBanner = null;
+        this.handModeBadge = null;
+        this.handsLostWarning = null;
         this.ctrlDebug = null;
-        // Scoring
-        this.coinsCollected = 0;
-        this.carsHit = 0; // Track number of cars hit by player
-        this.scoreCard = null;
+        // Scoring (coins / cars hit are counted per player in playerViews)
         this.scorePopups = []; // {el, start, duration, y, vy}
 
         this.init();
+
+        // Camera change is bound to its own gesture (double thumbs-up is reserved for start)
+        this._offCameraGesture = onGesture(GESTURE_BINDINGS.cameraToggle, (event) => {
+            // Pointing with both hands is still one toggle; in versus each player switches their own view
+            const view = this.playerViews[event.player ?? 0];
+            if (view && event.phase === 'start' && event.first) view.usePlayerCamera = !view.usePlayerCamera;
+        });
     }
 
     createNpcCarMesh(color = 0x00ccff) {
@@ -183,13 +200,13 @@ export class WorldManager {
 
         const npcMesh = this.createNpcCarMesh(color);
 
-        // Ensure car is well above ground but STAY CLOSE TO ROAD POINT
-        const carY = 0.32;
-
         // Reduce lateral offset to stay within 10 units of road point
         const maxOffset = 2; // Max 5 units from road center (well within 10 unit requirement)
         const lateralOffset = (Math.random() - 0.5) * maxOffset; // ±2.5 units lateral variation
 
+        // Ensure car is well above ground but STAY CLOSE TO ROAD POINT
+        const carY = this.terrain.heightAt(point.x + lateralOffset, point.z) + 0.32;
+
         // Place car very close to the actual road point
         npcMesh.position.set(point.x + lateralOffset, carY, point.z);
 
@@ -277,10 +294,16 @@ export class WorldManager {
     }
 
     // ===== Car Hit Callback =====
-    onCarHit() {
-        this.carsHit += 1;
-        this.createScorePopup(1000);
-        //console.log(`[Car Hit] Player hit car! Total cars hit: ${this.carsHit}`);
+    onCarHit(playerIndex = 0) {
+        this.playerViews[playerIndex].carsHit += 1;
+        this.createScorePopup(1000, playerIndex);
+        //console.log(`[Car Hit] Player hit car! Total cars hit: ${this.playerViews[playerIndex].carsHit}`);
+    }
+
+    // A car landed a jump (stunts.js): air time, flips / rolls / spins and the clean landing bonus
+    onStunt(playerIndex, stunt) {
+        this.playerViews[playerIndex].stuntPoints += stunt.points;
+        this.createScorePopup(stunt.points, playerIndex, stunt.label);
     }
 
     getPlayerPosition() {
@@ -301,7 +324,7 @@ export class WorldManager {
 
         const s = 0.7 + Math.random() * 0.6 * scaleJitter;
         group.scale.set(s, s, s);
-        group.position.set(x, 0, z);
+        group.position.set(x, this.terrain.heightAt(x, z), z);
         return group;
     }
 
@@ -386,23 +409,32 @@ export class WorldManager {
     }
 
     setupCameras() {
-        // Overview camera
-        this.overviewCamera = new THREE.PerspectiveCamera(
-            75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
-        this.overviewCamera.position.set(0, 20, 20);
-        this.overviewCamera.lookAt(0, 0, 0);
-
-        // Player camera
-        this.playerCamera = new THREE.PerspectiveCamera(
-            75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
+        for (let i = 0; i < this.playerCount; i++) {
+            const view = { usePlayerCamera: false, coinsCollected: 0, carsHit: 0, stuntPoints: 0 };
+            // Overview camera
+            view.overviewCamera = new THREE.PerspectiveCamera(
+                75,
+                this.getViewAspect(),
+                0.1,
+                1000
+            );
+            view.overviewCamera.position.set(0, 20, 20);
+            view.overviewCamera.lookAt(0, 0, 0);
+
+            // Player camera
+            view.playerCamera = new THREE.PerspectiveCamera(
+                75,
+                this.getViewAspect(),
+                0.1,
+                1000
+            );
+            this.playerViews.push(view);
+        }
+    }
+
+    // Each player's viewport is a vertical slice of the window
+    getViewAspect() {
+        return window.innerWidth / this.playerCount / window.innerHeight;
     }
 
     setupLighting() {
@@ -429,27 +461,6 @@ export class WorldManager {
         this.coordinatesCard.textContent = 'Coordinates: (0, 0, 0)';
         gameContainer.appendChild(this.coordinatesCard);
 
-        // Car stats card as a larger circular speedometer
-        this.carStatsCard = document.createElement('div');
-        this.carStatsCard.style.position = 'absolute';
-        this.carStatsCard.style.top = '30px';
-        this.carStatsCard.style.right = '30px';
-        this.carStatsCard.style.width = '160px';
-        this.carStatsCard.style.height = '160px';
-        this.carStatsCard.style.padding = '30px';
-        this.carStatsCard.style.borderRadius = '50%';
-        this.carStatsCard.style.background = 'radial-gradient(circle at 60% 40%, #fff 70%, #ccc 100%)';
-        this.carStatsCard.style.display = 'flex';
-        this.carStatsCard.style.alignItems = 'center';
-        this.carStatsCard.style.justifyContent = 'center';
-        this.carStatsCard.style.fontFamily = 'monospace';
-        this.carStatsCard.style.textAlign = 'center';
-        this.carStatsCard.style.fontSize = '60px';
-        this.carStatsCard.style.fontWeight = 'bold';
-        this.carStatsCard.style.boxShadow = '0 2px 18px rgba(0,0,0,0.18)';
-        this.carStatsCard.textContent = '0 \n mph';
-        gameContainer.appendChild(this.carStatsCard);
-
         // Control debug
         this.ctrlDebug = document.createElement('div');
         this.ctrlDebug.style.position = 'absolute';
@@ -463,30 +474,139 @@ export class WorldManager {
         this.ctrlDebug.style.whiteSpace = 'pre';
         gameContainer.appendChild(this.ctrlDebug);
 
+        this.playerViews.forEach((view, i) => this.createPlayerHud(view, i));
+
+        // Pause banner
+        this.pauseBanner = document.createElement('div');
+        this.pauseBanner.style.position = 'absolute';
+        this.pauseBanner.style.top = '40%';
+        this.pauseBanner.style.left = '50%';
+        this.pauseBanner.style.transform = 'translate(-50%, -50%)';
+        this.pauseBanner.style.padding = '16px 28px';
+        this.pauseBanner.style.backgroundColor = 'rgba(0,0,0,0.6)';
+        this.pauseBanner.style.fontFamily = 'monospace';
+        this.pauseBanner.style.fontSize = '48px';
+        this.pauseBanner.style.fontWeight = 'bold';
+        this.pauseBanner.style.color = '#fff';
+        this.pauseBanner.style.display = 'none';
+        this.pauseBanner.textContent = 'PAUSED';
+        gameContainer.appendChild(this.pauseBanner);
+
+        // Hand control mode indicator (two-hand / one-hand)
+        this.handModeBadge = document.createElement('div');
+        this.handModeBadge.style.position = 'absolute';
+        this.handModeBadge.style.top = '10px';
+        this.handModeBadge.style.left = '50%';
+        this.handModeBadge.style.transform = 'translateX(-50%)';
+        this.handModeBadge.style.padding = '6px 14px';
+        this.handModeBadge.style.borderRadius = '14px';
+        this.handModeBadge.style.fontFamily = 'monospace';
+        this.handModeBadge.style.fontSize = '16px';
+        this.handModeBadge.style.fontWeight = 'bold';
+        this.handModeBadge.style.color = '#fff';
+        this.handModeBadge.style.display = 'none';
+        gameContainer.appendChild(this.handModeBadge);
+
+        // Hands-lost fail-safe warning
+        this.handsLostWarning = document.createElement('div');
+        this.handsLostWarning.style.position = 'absolute';
+        this.handsLostWarning.style.top = '22%';
+        this.handsLostWarning.style.left = '50%';
+        this.handsLostWarning.style.transform = 'translateX(-50%)';
+        this.handsLostWarning.style.padding = '10px 20px';
+        this.handsLostWarning.style.borderRadius = '8px';
+        this.handsLostWarning.style.backgroundColor = 'rgba(200,0,0,0.8)';
+        this.handsLostWarning.style.fontFamily = 'monospace';
+        this.handsLostWarning.style.fontSize = '28px';
+        this.handsLostWarning.style.fontWeight = 'bold';
+        this.handsLostWarning.style.color = '#fff';
+        this.handsLostWarning.style.display = 'none';
+        gameContainer.appendChild(this.handsLostWarning);
+    }
+
+    // Speedometer and score card for one player, placed in that player's viewport
+    createPlayerHud(view, index) {
+        const versus = this.playerCount > 1;
+        const sliceWidth = 100 / this.playerCount;
+        // Offsets from the left / right window edge to this player's slice
+        const left = versus ? `calc(${index * sliceWidth}% + 10px)` : '10px';
+        const right = versus ? `calc(${(this.playerCount - 1 - index) * sliceWidth}% + 30px)` : '30px';
+        const label = versus ? `P${index + 1} ` : '';
+        view.label = label;
+
+        // Car stats card as a larger circular speedometer
+        view.carStatsCard = document.createElement('div');
+        view.carStatsCard.style.position = 'absolute';
+        view.carStatsCard.style.top = '30px';
+        view.carStatsCard.style.right = right;
+        view.carStatsCard.style.width = '160px';
+        view.carStatsCard.style.height = '160px';
+        view.carStatsCard.style.padding = '30px';
+        view.carStatsCard.style.borderRadius = '50%';
+        view.carStatsCard.style.background = 'radial-gradient(circle at 60% 40%, #fff 70%, #ccc 100%)';
+        view.carStatsCard.style.display = 'flex';
+        view.carStatsCard.style.alignItems = 'center';
+        view.carStatsCard.style.justifyContent = 'center';
+        view.carStatsCard.style.fontFamily = 'monospace';
+        view.carStatsCard.style.textAlign = 'center';
+        view.carStatsCard.style.fontSize = '60px';
+        view.carStatsCard.style.fontWeight = 'bold';
+        view.carStatsCard.style.boxShadow = '0 2px 18px rgba(0,0,0,0.18)';
+        view.carStatsCard.textContent = '0 \n mph';
+        gameContainer.appendChild(view.carStatsCard);
+
         // Score card (restored)
-        this.scoreCard = document.createElement('div');
-        this.scoreCard.style.position = 'absolute';
-        this.scoreCard.style.top = '10px';
-        this.scoreCard.style.left = '10px';
-        this.scoreCard.style.padding = '10px';
-        this.scoreCard.style.backgroundColor = 'rgba(0,0,0,0.55)';
-        this.scoreCard.style.fontFamily = 'monospace';
-        this.scoreCard.style.fontSize = '40px';
-        this.scoreCard.style.fontWeight = 'bold';
-        this.scoreCard.style.color = '#FFD700';
-        this.scoreCard.textContent = 'Score: 0';
-        gameContainer.appendChild(this.scoreCard);
+        view.scoreCard = document.createElement('div');
+        view.scoreCard.style.position = 'absolute';
+        view.scoreCard.style.top = '10px';
+        view.scoreCard.style.left = left;
+        view.scoreCard.style.padding = '10px';
+        view.scoreCard.style.backgroundColor = 'rgba(0,0,0,0.55)';
+        view.scoreCard.style.fontFamily = 'monospace';
+        view.scoreCard.style.fontSize = '40px';
+        view.scoreCard.style.fontWeight = 'bold';
+        view.scoreCard.style.color = '#FFD700';
+        view.scoreCard.textContent = `${label}Score: 0`;
+        gameContainer.appendChild(view.scoreCard);
+
+        // Damage bar (car health) under the score card
+        view.damageBar = document.createElement('div');
+        view.damageBar.style.position = 'absolute';
+        view.damageBar.style.top = '80px';
+        view.damageBar.style.left = left;
+        view.damageBar.style.width = '240px';
+        view.damageBar.style.height = '16px';
+        view.damageBar.style.border = '2px solid rgba(255,255,255,0.8)';
+        view.damageBar.style.backgroundColor = 'rgba(0,0,0,0.55)';
+        view.damageBar.title = 'Car health';
+        view.damageFill = document.createElement('div');
+        view.damageFill.style.height = '100%';
+        view.damageFill.style.width = '100%';
+        view.damageFill.style.backgroundColor = '#3c3';
+        view.damageFill.style.transition = 'width 0.15s';
+        view.damageBar.appendChild(view.damageFill);
+        gameContainer.appendChild(view.damageBar);
     }
 
     setupEventListeners() {
 
-        window.addEventListener('resize', () => {
-            this.overviewCamera.aspect = window.innerWidth / window.innerHeight;
-            this.overviewCamera.updateProjectionMatrix();
-            this.playerCamera.aspect = window.innerWidth / window.innerHeight;
-            this.playerCamera.updateProjectionMatrix();
+        this._onResize = () => {
+            for (const view of this.playerViews) {
+                view.overviewCamera.aspect = this.getViewAspect();
+                view.overviewCamera.updateProjectionMatrix();
+                view.playerCamera.aspect = this.getViewAspect();
+                view.playerCamera.updateProjectionMatrix();
+            }
             this.renderer.setSize(window.innerWidth, window.innerHeight);
-        });
+        };
+        window.addEventListener('resize', this._onResize);
+    }
+
+    // Release global listeners before this manager is replaced (Game.init on restart)
+    dispose() {
+        if (this._offCameraGesture) this._offCameraGesture();
+        this._offCameraGesture = null;
+        window.removeEventListener('resize', this._onResize);
     }
 
     createRoadStrip(points, roadWidth = 12) {
@@ -496,7 +616,7 @@ export class WorldManager {
 
         for (let i = 0; i < points.length; i++) {
             const point = points[i];
-            const pos = new THREE.Vector3(point.x, 0.02, point.z);
+            const pos = new THREE.Vector3(point.x, point.y || 0, point.z);
             let perpendicular;
 
             if (i === 0) {
@@ -518,6 +638,9 @@ export class WorldManager {
 
             const leftVertex = pos.clone().add(perpendicular.clone().multiplyScalar(roadWidth / 2));
             const rightVertex = pos.clone().add(perpendicular.clone().multiplyScalar(-roadWidth / 2));
+            // Edges sit on the terrain under them, so the road hugs any cross slope
+            leftVertex.y = this.terrain.heightAt(leftVertex.x, leftVertex.z) + ROAD_LIFT;
+            rightVertex.y = this.terrain.heightAt(rightVertex.x, rightVertex.z) + ROAD_LIFT;
 
             vertices.push(leftVertex.x, leftVertex.y, leftVertex.z);
             vertices.push(rightVertex.x, rightVertex.y, rightVertex.z);
@@ -543,26 +666,50 @@ export class WorldManager {
         return new THREE.Mesh(geometry, material);
     }
 
-    addGridsForRoadPoints(points) {
+    // Build the terrain chunks (mesh + heightfield collider) around the road, far enough out for the trees
+    addTerrainForRoadPoints(points, physicsManager, margin = 150) {
+        const size = TERRAIN_CHUNK_SIZE;
         points.forEach((point, index) => {
-            if (index % 4 === 0) {
-                const gridKey = `grid_${Math.round(point.x / 50) * 50}_${Math.round(point.z / 50) * 50}`;
-                if (this.generatedGrids.has(gridKey)) return;
-
-                this.generatedGrids.add(gridKey);
-                const planeGeometry = new THREE.PlaneGeometry(300, 100);
-                const planeMaterial = new THREE.MeshBasicMaterial({ color: 0x98FB98, side: THREE.DoubleSide });
-                const plane = new THREE.Mesh(planeGeometry, planeMaterial);
-                plane.rotation.x = -Math.PI / 2;
-
-                const px = Math.round(point.x / 50) * 50;
-                const pz = Math.round(point.z / 50) * 50;
-                plane.position.set(px, 0, pz);
-                this.scene.add(plane);
+            if (index % 4 !== 0) return;
+            for (let ix = Math.floor((point.x - margin) / size); ix <= Math.floor((point.x + margin) / size); ix++) {
+                for (let iz = Math.floor((point.z - size / 2) / size); iz <= Math.floor((point.z + size / 2) / size); iz++) {
+                    const key = `${ix},${iz}`;
+                    if (this.generatedTerrainChunks.has(key)) continue;
+                    this.generatedTerrainChunks.set(key, this.addTerrainChunk(ix, iz, physicsManager));
+                }
             }
         });
     }
 
+    addTerrainChunk(ix, iz, physicsManager) {
+        const chunk = this.terrain.sampleChunk(ix, iz);
+        const geometry = new THREE.PlaneGeometry(chunk.size, chunk.size, chunk.segments, chunk.segments);
+        geometry.rotateX(-Math.PI / 2);
+        const positions = geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setY(i, this.terrain.heightAt(chunk.centerX + positions.getX(i), chunk.centerZ + positions.getZ(i)));
+        }
+        geometry.computeVertexNormals();
+
+        const mesh = new THREE.Mesh(geometry, this.terrainMaterial);
+        mesh.position.set(chunk.centerX, 0, chunk.centerZ);
+        this.scene.add(mesh);
+
+        const body = physicsManager ? physicsManager.addTerrainChunk(chunk) : null;
+        return { iz, mesh, body };
+    }
+
+    // Free terrain chunks lying entirely more than cleanupDistance behind the trailing player
+    cleanupDistantTerrain(playerZ, physicsManager, cleanupDistance = 300) {
+        for (const [key, chunk] of this.generatedTerrainChunks) {
+            if (chunk.iz * TERRAIN_CHUNK_SIZE <= playerZ + cleanupDistance) continue;
+            this.scene.remove(chunk.mesh);
+            chunk.mesh.geometry.dispose();
+            if (physicsManager) physicsManager.removeFixedBody(chunk.body);
+            this.generatedTerrainChunks.delete(key);
+        }
+    }
+
     createContinuousFence(fencePoints, height = 2, thickness = 0.2, color = 0xffffff) {
         if (fencePoints.length < 2) return null;
 
@@ -583,9 +730,9 @@ export class WorldManager {
             const mid = start.clone().add(end).multiplyScalar(0.5);
             fence.position.set(mid.x, mid.y + height / 2, mid.z);
 
-            const direction = end.clone().sub(start);
-            const angle = Math.atan2(direction.x, direction.z);
-            fence.rotation.y = angle;
+            // Align the box with the segment, pitching it along slopes
+            const direction = end.clone().sub(start).normalize();
+            fence.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), direction);
 
             fenceGroup.add(fence);
         }
@@ -673,7 +820,7 @@ export class WorldManager {
 
         for (let i = 0; i < roadPoints.length; i++) {
             const point = roadPoints[i];
-            const pos = new THREE.Vector3(point.x, (point.y || 0.01) + 0.02, point.z);
+            const pos = new THREE.Vector3(point.x, point.y || 0, point.z);
             let perpendicular;
 
             // Calculate perpendicular direction for fence offset
@@ -698,6 +845,9 @@ export class WorldManager {
             const leftPoint = pos.clone().add(perpendicular.clone().multiplyScalar((roadWidth / 2) + fenceOffset));
             const rightPoint = pos.clone().add(perpendicular.clone().multiplyScalar(-(roadWidth / 2) - fenceOffset));
 
+            leftPoint.y = this.terrain.heightAt(leftPoint.x, leftPoint.z);
+            rightPoint.y = this.terrain.heightAt(rightPoint.x, rightPoint.z);
+
             leftFencePoints.push(leftPoint);
             rightFencePoints.push(rightPoint);
         }
@@ -763,8 +913,8 @@ export class WorldManager {
         const roadMesh = this.createRoadStrip(points);
         if (roadMesh) this.scene.add(roadMesh);
 
-        // Add grids
-        this.addGridsForRoadPoints(points);
+        // Add terrain around the road
+        this.addTerrainForRoadPoints(points, physicsManager);
 
         // Add continuous fences
         this.addContinuousFences(points, physicsManager);
@@ -772,8 +922,11 @@ export class WorldManager {
         // Add background trees outside fences
         this.generateTrees(points);
 
-        // Add coins on this segment
-        this.generateCoinClusters(points);
+        // Jump ramps on the road
+        const ramps = this.generateRamps(points, physicsManager);
+
+        // Add coins on this segment, with arcs over the ramps
+        this.generateCoinClusters(points, ramps);
 
         // NPC generation is now handled procedurally in render()
     }
@@ -814,7 +967,7 @@ export class WorldManager {
     generateNewRoadSegments(x, y, z, physicsManager) {
         try {
             const initialOffset = 20;
-            const roadPoints = generateRoadSchematic(x, y, z + initialOffset);
+            const roadPoints = generateRoadSchematic(x, y, z + initialOffset, 0, (px, pz) => this.terrain.heightAt(px, pz));
             if (roadPoints && Array.isArray(roadPoints)) {
                 const smoothedPoints = this.interpolateRoadPoints(roadPoints, 2);
                 smoothedPoints.forEach(point => {
@@ -855,7 +1008,7 @@ export class WorldManager {
             this.setupNextFrame(0, 0, fallbackZ, 0);
         }
     }
-    updatePlayerCamera(player) {
+    updatePlayerCamera(player, camera) {
 
         const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(player.quaternion).normalize();
         const heightOffset = 4;
@@ -864,13 +1017,14 @@ export class WorldManager {
             .add(new THREE.Vector3(0, heightOffset, 0))
             .add(forward.clone().multiplyScalar(-backDistance));
 
-        this.playerCamera.position.copy(targetPos);
-        this.playerCamera.lookAt(player.position);
+        camera.position.copy(targetPos);
+        camera.lookAt(player.position);
     }
 
-    updateUI(player, car) {
+    updateUI(player, car, playerIndex = 0) {
+        const view = this.playerViews[playerIndex];
         // Update coordinates
-        this.coordinatesCard.textContent = `Coordinates: (${player.position.x.toFixed(2)}, ${player.position.y.toFixed(2)}, ${player.position.z.toFixed(2)})`;
+        if (playerIndex === 0) this.coordinatesCard.textContent = `Coordinates: (${player.position.x.toFixed(2)}, ${player.position.y.toFixed(2)}, ${player.position.z.toFixed(2)})`;
 
         // Calculate gradient color based on speed
         const speed = car.velocity.length();
@@ -890,69 +1044,124 @@ export class WorldManager {
             const b = Math.round(102 * (1 - t) + 111 * t);
             color = `rgb(${r},${g},${b})`;
         }
-        this.carStatsCard.style.background = `radial-gradient(circle at 60% 40%, ${color} 70%, #ccc 100%)`;
-        this.carStatsCard.textContent = `${speed.toFixed(0)} \n mph`;
+        view.carStatsCard.style.background = `radial-gradient(circle at 60% 40%, ${color} 70%, #ccc 100%)`;
+        view.carStatsCard.textContent = `${speed.toFixed(0)} \n mph`;
+
+        // Score calc - include cars hit for bonus points
+        const score = Math.floor(Math.abs(player.position.z)) + view.coinsCollected * 100 + view.carsHit * 1000 + view.stuntPoints;
+        if (view.scoreCard) view.scoreCard.textContent = `${view.label}Score: ${score}`;
+
+        // Damage bar: green -> yellow -> red as health drops
+        const health = car.getHealthFraction();
+        view.damageFill.style.width = `${(health * 100).toFixed(0)}%`;
+        view.damageFill.style.backgroundColor = `hsl(${Math.round(120 * health)}, 75%, 45%)`;
+        if (playerIndex !== 0) return;
+
         // Update control debug
         const c = car.controls;
-        this.ctrlDebug.textContent = `W:${c.forward?'1':'0'} S:${c.backward?'1':'0'} A:${c.left?'1':'0'} D:${c.right?'1':'0'} HB:${c.handbrake?'1':'0'}\nSpeed:${car.velocity.length().toFixed(2)}`;
+        this.ctrlDebug.textContent = `W:${c.forward?'1':'0'} S:${c.backward?'1':'0'} A:${c.left?'1':'0'} D:${c.right?'1':'0'} HB:${c.handbrake?'1':'0'} Gear:${c.reverse?'R':'D'}\nSpeed:${car.velocity.length().toFixed(2)} Input:${inputManager.getActiveName()}`;
 
-        // Score calc - include cars hit for bonus points
-        const score = Math.floor(Math.abs(player.position.z)) + this.coinsCollected * 100 + this.carsHit * 1000;
-        if (this.scoreCard) this.scoreCard.textContent = `Score: ${score}`;
+        this.updateHandModeBadge();
+    }
+
+    updateHandModeBadge() {
+        const mode = getLatestHandData().mode;
+        if (!mode) {
+            this.handModeBadge.style.display = 'none';
+            return;
+        }
+        // Show the handover in progress while the hand provider blends between modes
+        const weight = inputManager.get('hand')?.getTwoHandWeight?.();
+        const blending = weight != null && weight > 0.02 && weight < 0.98;
+        this.handModeBadge.style.display = 'block';
+        this.handModeBadge.style.backgroundColor = mode === 'two' ? 'rgba(0,140,60,0.75)' : 'rgba(160,0,160,0.75)';
+        this.handModeBadge.textContent = (mode === 'two' ? 'TWO-HAND' : 'ONE-HAND') + (blending ? ' ...' : '');
     }
 
-    render(player, car, physicsManager) {
+    updateHandsLostWarning(physicsManager) {
+        const stages = physicsManager ? physicsManager.failSafeStages : [];
+        const lost = this.playerViews.map((view, i) => ({ view, stage: stages[i] })).filter(p => p.stage);
+        if (!lost.length) {
+            this.handsLostWarning.style.display = 'none';
+            return;
+        }
+        const detail = { coast: 'coasting', brake: 'braking', pause: 'paused - show your hands to resume' };
+        this.handsLostWarning.textContent = lost.map(p => `${p.view.label}HANDS LOST - ${detail[p.stage]}`).join(' | ');
+        this.handsLostWarning.style.display = 'block';
+    }
+
+    // cars: one Car per player (index = player number)
+    render(cars, physicsManager) {
+        // Road and NPCs are generated ahead of the leading car and cleaned up behind the last one
+        const players = cars.map(car => car.carGroup);
+        const leader = players.reduce((a, b) => (b.position.z < a.position.z ? b : a));
+        const trailingZ = Math.max(...players.map(p => p.position.z));
+
         // Store player position for NPC distance checks
-        this.playerPosition = player.position.clone();
+        this.playerPosition = leader.position.clone();
 
         // Generate new road segments if needed
-        const newThumbCount = getLatestThumbCount();
-        if (newThumbCount !== this.lastThumbCount) {
-            this.usePlayerCamera = !this.usePlayerCamera;
-            this.lastThumbCount = newThumbCount;
-        }
-        if (player.position.z < this.lastRoad.z + 400) {
+        if (leader.position.z < this.lastRoad.z + 400) {
             this.generateNewRoadSegments(this.lastRoad.x, this.lastRoad.y, this.lastRoad.z - 20, physicsManager);
         }
 
         // Procedurally generate NPCs ahead of the player
-        this.generateNpcCarsInfinite(player.position.z, physicsManager);
+        this.generateNpcCarsInfinite(leader.position.z, physicsManager);
 
-        // Cleanup distant NPCs behind the player
-        this.cleanupDistantNpcCars(player.position.z, physicsManager);
+        // Cleanup distant NPCs, ramps and terrain behind the player
+        this.cleanupDistantNpcCars(trailingZ, physicsManager);
+        this.cleanupDistantRamps(trailingZ, physicsManager);
+        this.cleanupDistantTerrain(trailingZ, physicsManager);
 
         // Register NPC cars and car hit callback with physics manager for collision detection
         if (physicsManager) {
             physicsManager.registerNpcCars(this.npcCars);
-            physicsManager.setCarHitCallback(() => this.onCarHit());
+            physicsManager.setCarHitCallback((playerIndex) => this.onCarHit(playerIndex));
+            physicsManager.setStuntCallback((playerIndex, stunt) => this.onStunt(playerIndex, stunt));
         }
 
         // Update NPC cars
         this.updateNpcCars(1/60, physicsManager); // Assuming 60 FPS
 
-        // Update cameras
-        if (!this.usePlayerCamera) {
-            this.overviewCamera.position.set(
-                player.position.x,
-                player.position.y + 40,
-                player.position.z + 20
-            );
-            this.overviewCamera.lookAt(player.position.x, 0, player.position.z - 10);
-        } else {
-            this.updatePlayerCamera(player);
-        }
-
-        // Update UI
-        this.updateUI(player, car);
+        // Update cameras and UI
+        players.forEach((player, i) => {
+            const view = this.playerViews[i];
+            if (!view.usePlayerCamera) {
+                view.overviewCamera.position.set(
+                    player.position.x,
+                    player.position.y + 40,
+                    player.position.z + 20
+                );
+                view.overviewCamera.lookAt(player.position.x, player.position.y, player.position.z - 10);
+            } else {
+                this.updatePlayerCamera(player, view.playerCamera);
+            }
+            this.updateUI(player, cars[i], i);
+        });
+        this.pauseBanner.style.display = physicsManager && physicsManager.paused ? 'block' : 'none';
+        this.updateHandsLostWarning(physicsManager);
 
         // Update coins (rotation + collection)
-        this.updateCoins(car);
+        this.updateCoins(cars);
         // Update score popups
         this.updateScorePopups();
 
-        // Render scene
-        const camera = this.usePlayerCamera ? this.playerCamera : this.overviewCamera;
-        this.renderer.render(this.scene, camera);
+        // Render scene: full window in solo play, one vertical slice per player in versus
+        if (this.playerViews.length === 1) {
+            const view = this.playerViews[0];
+            this.renderer.render(this.scene, view.usePlayerCamera ? view.playerCamera : view.overviewCamera);
+            return;
+        }
+        const width = window.innerWidth / this.playerViews.length;
+        const height = window.innerHeight;
+        this.renderer.setScissorTest(true);
+        this.playerViews.forEach((view, i) => {
+            this.renderer.setViewport(i * width, 0, width, height);
+            this.renderer.setScissor(i * width, 0, width, height);
+            this.renderer.render(this.scene, view.usePlayerCamera ? view.playerCamera : view.overviewCamera);
+        });
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, window.innerWidth, height);
     }
 
     getScene() {
@@ -960,12 +1169,13 @@ export class WorldManager {
     }
 
     // ===== Score Popup System (restored) =====
-    createScorePopup(amount = 100) {
+    createScorePopup(amount = 100, playerIndex = 0, label = '') {
         const el = document.createElement('div');
-        el.textContent = `+${amount}`;
+        el.textContent = label ? `+${amount} ${label}` : `+${amount}`;
         el.style.position = 'absolute';
         el.style.pointerEvents = 'none';
-        el.style.left = '50%';
+        // Centered in the scoring player's viewport
+        el.style.left = `${(playerIndex + 0.5) * 100 / this.playerViews.length}%`;
         el.style.top = '55%';
         el.style.transform = 'translate(-50%, -50%)';
         el.style.fontFamily = 'monospace';
@@ -997,6 +1207,72 @@ export class WorldManager {
         }
     }
 
+    // ================= Ramps =================
+    // One candidate spot every 20 road points; returns the ramps placed ({ lip, dir, length, rise, mesh, body })
+    generateRamps(roadPoints, physicsManager) {
+        const ramps = [];
+        if (!roadPoints || roadPoints.length < 2) return ramps;
+        for (let i = 6; i < roadPoints.length - 6; i += 20) {
+            const point = roadPoints[i];
+            if (Math.abs(point.z) < 150 || Math.random() > 0.35) continue; // keep the start clear
+            const next = roadPoints[i + 1];
+            const dir = new THREE.Vector3(next.x - point.x, 0, next.z - point.z).normalize();
+            if (dir.lengthSq() === 0) continue;
+            const lateralOffset = (Math.random() - 0.5) * 4;
+            ramps.push(this.createRamp(point, dir, lateralOffset, physicsManager));
+        }
+        this.ramps.push(...ramps);
+        return ramps;
+    }
+
+    cleanupDistantRamps(playerZ, physicsManager, cleanupDistance = 300) {
+        for (let i = this.ramps.length - 1; i >= 0; i--) {
+            const ramp = this.ramps[i];
+            if (ramp.lip.z <= playerZ + cleanupDistance) continue;
+            this.scene.remove(ramp.mesh);
+            ramp.mesh.geometry.dispose();
+            if (physicsManager) physicsManager.removeFixedBody(ramp.body);
+            this.ramps.splice(i, 1);
+        }
+    }
+
+    // Wedge rising along dir, sitting on the terrain; the mesh and the convex hull collider share its corners
+    createRamp(point, dir, lateralOffset, physicsManager, { length = 9, width = 5, rise = 1.4 + Math.random() * 0.8 } = {}) {
+        const lateral = new THREE.Vector3(-dir.z, 0, dir.x);
+        const center = new THREE.Vector3(point.x, 0, point.z).add(lateral.clone().multiplyScalar(lateralOffset));
+        center.y = this.terrain.heightAt(center.x, center.z);
+
+        // Corner relative to center; the base is sunk into the terrain so no edge sticks out at the foot
+        const corner = (side, along, lift) => {
+            const p = center.clone()
+                .add(lateral.clone().multiplyScalar(side * width / 2))
+                .add(dir.clone().multiplyScalar(along));
+            p.y = this.terrain.heightAt(p.x, p.z) + lift;
+            return p.sub(center);
+        };
+        const corners = [
+            corner(1, -length / 2, -0.3), corner(-1, -length / 2, -0.3), // foot
+            corner(1, length / 2, -0.3), corner(-1, length / 2, -0.3),   // base under the lip
+            corner(1, length / 2, rise), corner(-1, length / 2, rise)    // lip
+        ];
+        const faces = [0, 1, 5, 0, 5, 4, 2, 4, 5, 2, 5, 3, 0, 4, 2, 1, 3, 5, 0, 2, 3, 0, 3, 1];
+        const vertices = [];
+        for (const index of faces) vertices.push(corners[index].x, corners[index].y, corners[index].z);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.computeVertexNormals();
+        const mesh = new THREE.Mesh(geometry, this.rampMaterial);
+        mesh.position.copy(center);
+        this.scene.add(mesh);
+
+        const body = physicsManager ? physicsManager.addRampCollider(center, corners.flatMap(c => [c.x, c.y, c.z])) : null;
+
+        const lip = center.clone().add(dir.clone().multiplyScalar(length / 2));
+        lip.y = center.y + corners[4].y / 2 + corners[5].y / 2;
+        return { lip, dir, length, rise, mesh, body };
+    }
+
     // ================= Coin System =================
     createCoin(x, y, z) {
         const mesh = new THREE.Mesh(this.coinGeometry, this.coinMaterial);
@@ -1009,8 +1285,9 @@ export class WorldManager {
         return mesh;
     }
 
-    generateCoinClusters(roadPoints) {
+    generateCoinClusters(roadPoints, ramps = []) {
         if (!roadPoints || roadPoints.length < 2) return;
+        for (const ramp of ramps) this.createCoinArc(ramp);
         // Chance to create clusters along the segment
         for (let i = 1; i < roadPoints.length - 1; i++) {
             if (Math.random() > 0.15) continue; // ~15% of candidate points spawn a cluster
@@ -1023,7 +1300,7 @@ export class WorldManager {
             // Slight lateral offset randomly (left/right of center of road)
             const lateral = new THREE.Vector3(-dir.z, 0, dir.x); // perpendicular
             const lateralOffset = (Math.random() - 0.5) * 4; // within road width roughly
-            const basePos = new THREE.Vector3(current.x, 1, current.z).add(lateral.multiplyScalar(lateralOffset));
+            const basePos = new THREE.Vector3(current.x, 0, current.z).add(lateral.multiplyScalar(lateralOffset));
 
             const count = 3 + Math.floor(Math.random() * 2); // 3-4 coins
             const spacing = 1.6; // distance between coins along direction
@@ -1033,15 +1310,26 @@ export class WorldManager {
                 const jitter = (Math.random() - 0.5) * 0.4;
                 const pos = basePos.clone().add(dir.clone().multiplyScalar(c * spacing + jitter));
                 // Vertical bob base offset random seed
-                pos.y = 1 + Math.random() * 0.2;
+                pos.y = this.terrain.heightAt(pos.x, pos.z) + 1 + Math.random() * 0.2;
                 this.createCoin(pos.x, pos.y, pos.z);
             }
         }
     }
 
-    updateCoins(car) {
-        if (!car || !this.coins.length) return;
-        const carPos = car.position; // Vector3 from car object
+    // Coins along the flight path of a car leaving the ramp's lip at speed (m/s)
+    createCoinArc(ramp, speed = 25, gravity = 10) {
+        const slope = ramp.rise / ramp.length; // tan of the launch angle
+        const cosSq = 1 / (1 + slope * slope);
+        for (let d = 4; d <= 32; d += 4) {
+            const pos = ramp.lip.clone().add(ramp.dir.clone().multiplyScalar(d));
+            pos.y = ramp.lip.y + 1 + d * slope - gravity * d * d / (2 * speed * speed * cosSq);
+            if (pos.y < this.terrain.heightAt(pos.x, pos.z) + 1) break;
+            this.createCoin(pos.x, pos.y, pos.z);
+        }
+    }
+
+    updateCoins(cars) {
+        if (!cars || !cars.length || !this.coins.length) return;
         const collectRadiusSq = 2.5**2;
         const time = performance.now() * 0.001;
         for (const coin of this.coins) {
@@ -1051,15 +1339,20 @@ export class WorldManager {
             mesh.rotation.z += 0.08; // because we rotated X 90deg
             mesh.position.y += Math.sin(time * 2 + mesh.id * 0.3) * 0.002; // subtle
 
-            const dx = mesh.position.x - carPos.x;
-            const dz = mesh.position.z - carPos.z;
-            if (dx * dx + dz * dz < collectRadiusSq) {
+            // First car within reach collects it
+            const playerIndex = cars.findIndex(car => {
+                const dx = mesh.position.x - car.position.x;
+                const dz = mesh.position.z - car.position.z;
+                // Arcs over the ramps are only reachable in the air
+                return dx * dx + dz * dz < collectRadiusSq && Math.abs(mesh.position.y - car.position.y) < 2.5;
+            });
+            if (playerIndex >= 0) {
                 // Collected
                 coin.collected = true;
                 mesh.visible = false;
                 this.coinGroup.remove(mesh);
-                this.coinsCollected += 1;
-                this.createScorePopup(100);
+                this.playerViews[playerIndex].coinsCollected += 1;
+                this.createScorePopup(100, playerIndex);
                 try { audio.playCoin(0.7); } catch {}
             }
         }